@@ -2,8 +2,30 @@
 
 var RedisPool = require('sol-redis-pool');
 var EventEmitter = require('events').EventEmitter;
+var Readable = require('stream').Readable;
 var redisUrl = require('redis-url');
 var zlib = require('zlib');
+var serializers = require('./lib/serializers');
+var codecs = require('./lib/codecs');
+var scripts = require('./lib/scripts');
+var envelope = require('./lib/envelope');
+var createSentinel = require('./lib/sentinel');
+var createCluster = require('./lib/cluster');
+var createLocker = require('./lib/lock');
+var createL1 = require('./lib/l1');
+var createInvalidation = require('./lib/invalidation');
+var createNotifications = require('./lib/notifications');
+var createStats = require('./lib/stats');
+var errors = require('./lib/errors');
+var createBreaker = require('./lib/breaker');
+var createRetryPolicy = require('./lib/retry');
+
+// the operations short-circuited while the circuit is open, as misses or no-ops, the other ones fail fast
+var FAIL_OPEN = ['get', 'mget', 'set', 'mset', 'del'];
+// the operations on cache keys, whose errors tell the key
+var KEY_OPERATIONS = ['get', 'mget', 'set', 'mset', 'del', 'ttl'];
+// the codes of the errors replied by a server which can't serve commands, failures of the circuit breaker
+var UNAVAILABLE_CODES = ['LOADING', 'MASTERDOWN', 'CLUSTERDOWN'];
 
 /**
  * The cache manager Redis Store module
@@ -15,9 +37,67 @@ var zlib = require('zlib');
  * @param {function} args.isCacheableValue - function to override built-in isCacheableValue function (optional)
  * @param {boolean|Object} args.compress - (optional) Boolean / Config Object for pluggable compression.
  *            Setting this to true will use a default gzip configuration for best speed. Passing in a config
- *            object will forward those settings to the underlying compression implementation. Please see the
- *            Node zlib documentation for a list of valid options for gzip:
+ *            object will forward those settings to the underlying compression implementation. The config
+ *            `type` selects the codec: 'gzip' (default), 'deflate', 'brotli' or a custom
+ *            { compress, decompress, id } codec, and `threshold` the size in bytes under which values are stored
+ *            uncompressed (default: 0). Please see the Node zlib documentation for a list of valid options:
  *            https://nodejs.org/dist/latest-v4.x/docs/api/zlib.html#zlib_class_options
+ * @param {String} args.prefix - (optional) A namespace prepended to every key handled by the store, also
+ *            accepted as `keyPrefix`. When set, reset only deletes the keys of the namespace instead of the whole db.
+ * @param {String} args.resetPattern - (optional) A glob-style pattern, relative to the prefix, limiting the keys
+ *            deleted by reset. When set, reset deletes the matching keys instead of running FLUSHDB.
+ * @param {Number} args.resetBatchSize - (optional) The number of keys scanned and deleted per batch when reset
+ *            deletes keys by pattern (default: 100)
+ * @param {String} args.tagPrefix - (optional) The prefix of the Redis sets holding the keys of each tag (default: 'tag:')
+ * @param {String} args.entryTagsPrefix - (optional) The prefix of the Redis sets holding the tags of each tagged
+ *            entry (default: 'tags:')
+ * @param {String|Object} args.serializer - (optional) The name of a built-in serializer ('json', 'typed', 'raw' or
+ *            'buffer') or an object exposing serialize / deserialize methods. Defaults to 'json'.
+ * @param {Number} args.staleTtl - (optional) The time in seconds entries are kept stale after their ttl, see set
+ * @param {boolean|Object} args.refreshAhead - (optional) Recompute entries of getOrSet ahead of their expiration,
+ *            true or an object with the XFetch beta (default: 1), see get
+ * @param {Array} args.sentinels - (optional) The Redis Sentinel addresses, as { host, port } objects. When set,
+ *            the master is discovered through the sentinels instead of using host and port, and the pool reconnects
+ *            to the new master on failover.
+ * @param {String} args.name - (optional) The name of the master monitored by the sentinels
+ * @param {String} args.sentinelPassword - (optional) The password of the sentinels
+ * @param {boolean} args.readFromReplicas - (optional) Route reads (get, mget, ttl, keys) to a healthy replica
+ *            discovered through the sentinels. Replicas may lag behind the master. (default: false)
+ * @param {Array} args.cluster - (optional) The addresses of some nodes of a Redis Cluster, as { host, port } objects.
+ *            When set, commands are sent to the node serving their keys, and multi-key commands are run by hash slot.
+ * @param {Number} args.maxRedirections - (optional) The number of cluster redirections followed by a command
+ *            (default: 16)
+ * @param {String} args.lockPrefix - (optional) The prefix of the locks taken by lock and getOrSet (default: 'lock:')
+ * @param {Array} args.redlock - (optional) The addresses of independent Redis servers, as { host, port } objects.
+ *            When set, locks are acquired on a majority of them with the Redlock algorithm instead of on the store
+ *            Redis server.
+ * @param {Object} args.l1 - (optional) Keep the values read by get in an in-process LRU cache, invalidated with
+ *            Redis client-side caching, or a pub/sub channel before Redis 6. Options: max (entries, default: 1000),
+ *            maxBytes (default: none), ttl (seconds, default: the Redis ttl), invalidation ('auto', 'tracking' or
+ *            'pubsub', default: 'auto') and channel (default: 'cache-manager-redis:invalidate').
+ * @param {boolean|Object} args.notifications - (optional) Publish set, del and reset notifications, see subscribe.
+ *            Options: channel (default: 'cache-manager-redis:events'), publish (default: true) and expired, to
+ *            subscribe to the keyspace notifications of expired keys (default: false).
+ * @param {Array} args.latencyBuckets - (optional) The upper bounds of the latency histogram buckets, in
+ *            milliseconds, see getStats
+ * @param {Object|Array} args.hooks - (optional) A hook or an array of hooks, see use
+ * @param {Number} args.commandTimeout - (optional) The time in milliseconds after which an operation fails with a
+ *            TimeoutError once it has a connection, the connection being closed (default: none)
+ * @param {Number} args.acquireTimeout - (optional) The time in milliseconds after which an operation fails with a
+ *            TimeoutError while waiting for a connection of the pool (default: none)
+ * @param {boolean|Object} args.circuitBreaker - (optional) Stop sending commands to Redis after too many connection
+ *            failures, timeouts or errors of an unavailable server (LOADING...), reads then being misses, writes
+ *            being dropped and the other operations failing with a CircuitOpenError, until a probe succeeds.
+ *            Options: threshold (failures, default: 5), window (milliseconds, default: 10000) and cooldown
+ *            (milliseconds before probing, default: 30000).
+ * @param {boolean|Object} args.retry - (optional) Retry the operations failing with transient errors (LOADING,
+ *            READONLY after a failover, lost connections...) with an exponential backoff, emitting 'retry' events.
+ *            Options: attempts (default: 3), delay (milliseconds, default: 50), maxDelay (milliseconds, default:
+ *            2000), factor (default: 2), jitter (default: true), codes (the retried error codes) and writes (retry
+ *            idempotent writes, default: true). Timeouts are not retried.
+ * @param {String} args.onDecodeError - (optional) What to do with values that can't be decoded: 'throw' returns a
+ *            DecodeError (default), 'miss' reads them as misses and emits a 'decodeError' event, and 'delete' also
+ *            deletes their keys
  */
 function redisStore(args = {}) {
   var self = {
@@ -25,84 +105,1531 @@ function redisStore(args = {}) {
     events: new EventEmitter()
   };
 
-  // cache-manager should always pass in args
-  /* istanbul ignore next */
-  var redisOptions = getFromUrl(args) || args;
-  var poolSettings = redisOptions;
-  var Promise = args.promiseDependency || global.Promise;
+  // cache-manager should always pass in args
+  /* istanbul ignore next */
+  var redisOptions = getFromUrl(args) || args;
+  var poolSettings = redisOptions;
+  var Promise = args.promiseDependency || global.Promise;
+
+  redisOptions.host = redisOptions.host || '127.0.0.1';
+  redisOptions.port = redisOptions.port || 6379;
+  redisOptions.db = redisOptions.db || 0;
+
+  // default compress config
+  redisOptions.detect_buffers = true;
+  var compressDefault = {
+    type: 'gzip',
+    params: {
+      level: zlib.Z_BEST_SPEED
+    }
+  };
+
+  // if compress is boolean true, set default
+  if (redisOptions.compress === true) {
+    redisOptions.compress = compressDefault;
+  }
+
+  var serializer = resolveSerializer(redisOptions.serializer);
+  var keyPrefix = getKeyPrefix();
+  var unlinkSupported = true;
+
+  // the pool each connection was acquired from, so connections acquired before a failover are released to it
+  var owners = new WeakMap();
+  // the operation each connection is acquired for, see guard
+  var leases = new WeakMap();
+  var sentinel = null;
+  var cluster = null;
+  var pool = null;
+  var readPool = null;
+  var readAddress = null;
+  var waitingMaster = [];
+  var l1 = null;
+  var invalidation = null;
+  var breaker = null;
+  var stats = createStats({ buckets: redisOptions.latencyBuckets });
+  var retryPolicy = createRetryPolicy(redisOptions.retry);
+  var hooks = [].concat(redisOptions.hooks).filter(Boolean);
+  var notificationOptions = Object.assign({ publish: true, channel: 'cache-manager-redis:events' },
+    redisOptions.notifications);
+
+  initPool();
+  initL1();
+  initBreaker();
+
+  var notifications = createNotifications({
+    clientOptions: getSubscriberClientOptions,
+    expiredClientOptions: getMastersClientOptions,
+    channel: notificationOptions.channel,
+    expired: notificationOptions.expired,
+    db: redisOptions.db,
+    prefix: keyPrefix
+  });
+  notifications.on('notification', function(notification) {
+    self.events.emit('notification', notification);
+    self.events.emit(notification.type, notification);
+  });
+  notifications.on('error', function(err) {
+    self.events.emit('redisError', err);
+  });
+
+  var locker = createLocker({ instances: getLockInstances() });
+
+  /**
+   * Helper to create the connection pool, the cluster client when cluster nodes are set, or the sentinel client
+   * discovering the master when sentinels are set
+   * @private
+   */
+  function initPool() {
+    if (redisOptions.cluster) {
+      return initCluster();
+    }
+    if (redisOptions.sentinels) {
+      return initSentinel();
+    }
+    pool = createPool(getClientOptions());
+  }
+
+  /**
+   * Helper to create the cluster client, which acts as the connection pool
+   * @private
+   */
+  function initCluster() {
+    pool = cluster = createCluster({
+      nodes: redisOptions.cluster,
+      clientOptions: getClientOptions(),
+      createPool: address => createPool(Object.assign(getClientOptions(), address)),
+      maxRedirections: redisOptions.maxRedirections
+    });
+    cluster.on('error', function(err) {
+      self.events.emit('redisError', err);
+    });
+    // the expired keys of new masters are subscribed
+    cluster.on('refresh', () => notifications.refresh());
+  }
+
+  /**
+   * Helper to create the sentinel client, the pool is created once the master is discovered
+   * @private
+   */
+  function initSentinel() {
+    sentinel = createSentinel({
+      sentinels: redisOptions.sentinels,
+      name: redisOptions.name,
+      password: redisOptions.sentinelPassword,
+      replicas: redisOptions.readFromReplicas
+    });
+    sentinel.on('master', onMaster);
+    sentinel.on('replicas', onReplicas);
+    sentinel.on('error', function(err) {
+      self.events.emit('redisError', err);
+    });
+  }
+
+  /**
+   * Helper to create the in-process cache and start receiving its invalidation messages. Cluster invalidations are
+   * published, as tracking only covers the keys of a node.
+   * @private
+   */
+  function initL1() {
+    if (!redisOptions.l1) {
+      return;
+    }
+
+    l1 = createL1(redisOptions.l1);
+    invalidation = createInvalidation({
+      clientOptions: getSubscriberClientOptions,
+      mode: cluster ? 'pubsub' : redisOptions.l1.invalidation,
+      channel: redisOptions.l1.channel || 'cache-manager-redis:invalidate',
+      prefix: keyPrefix
+    });
+    invalidation.on('invalidate', keys => keys ? l1.delete(keys) : l1.clear());
+    invalidation.on('error', function(err) {
+      self.events.emit('redisError', err);
+    });
+    invalidation.start();
+  }
+
+  /**
+   * Helper to create the circuit breaker, its state changes are emitted as 'circuit' events
+   * @private
+   */
+  function initBreaker() {
+    if (!redisOptions.circuitBreaker) {
+      return;
+    }
+
+    breaker = createBreaker(redisOptions.circuitBreaker === true ? {} : redisOptions.circuitBreaker);
+    breaker.on('state', function(state, previous) {
+      self.events.emit('circuit', { state: state, previous: previous });
+    });
+  }
+
+  /**
+   * Helper to get the client options of the subscriber connections, to the master or a cluster node
+   * @private
+   * @returns {Object} the client options, null until the master is discovered
+   */
+  function getSubscriberClientOptions() {
+    if (cluster) {
+      return Object.assign(getClientOptions(), redisOptions.cluster[0]);
+    }
+    if (sentinel) {
+      return sentinel.getMaster() && Object.assign(getClientOptions(), sentinel.getMaster());
+    }
+    return getClientOptions();
+  }
+
+  /**
+   * Helper to get the client options of the connections subscribing to the expired keys of each cluster master
+   * @private
+   * @returns {Array} the client options, empty until the slots are mapped, null outside cluster mode
+   */
+  function getMastersClientOptions() {
+    return cluster && cluster.getMasters().map(address => Object.assign(getClientOptions(), address));
+  }
+
+  /**
+   * Helper to instrument an operation: the before hooks are called with its context, which they may alter, then
+   * its duration and failure are recorded, emitted as a 'command' event, and the after hooks are called.
+   * @private
+   * @param {String} operation - The operation name
+   * @param {Array} keys - The cache keys, or the patterns or tags, of the operation
+   * @param {Object} options - The operation options
+   * @param {Function} cb - The operation callback
+   * @param {Function} [onResult] - Called with the result of the operation when it succeeds (optional)
+   * @returns {Object} the context passed to the hooks, as ctx, the operation callback recording the operation
+   *            first, as done, the bounds of the operation, see guard, as guard, whether the operation is
+   *            short-circuited by the circuit breaker, as open, and the error thrown by a before hook, the abort
+   *            error or the CircuitOpenError of operations failing fast, as failure
+   */
+  function instrument(operation, keys, options, cb, onResult) {
+    var ctx = { operation: operation, keys: keys, options: options, startTime: Date.now() };
+    var start = process.hrtime();
+    var failure = runHooks('before', ctx) || getAbortError(operation, ctx.options.signal);
+    var open = !failure && isShortCircuited();
+    var bounds = guard(operation, ctx.options, function(err, result) {
+      var elapsed = process.hrtime(start);
+
+      ctx.duration = elapsed[0] * 1e3 + elapsed[1] / 1e6;
+      setErrorKey(err, operation, ctx.keys);
+      ctx.error = err || null;
+      ctx.result = result;
+      stats.observe(operation, ctx.duration);
+      if (err) {
+        stats.increment('errors');
+      } else if (onResult && !open) {
+        onResult(result);
+      }
+      if (!open) {
+        recordOutcome(err, bounds);
+      }
+      self.events.emit('command', { command: operation, duration: ctx.duration, error: ctx.error });
+
+      var hookError = runHooks('after', ctx);
+      if (hookError) {
+        self.events.emit('hookError', hookError, ctx);
+      }
+      cb.apply(null, arguments);
+    });
+
+    if (open && FAIL_OPEN.indexOf(operation) === -1) {
+      failure = new errors.CircuitOpenError(operation + ' short-circuited, the circuit is open');
+    }
+    return { ctx: ctx, failure: failure, open: open, done: bounds.done, guard: bounds };
+  }
+
+  /**
+   * Helper to set the cache key of the error of an operation on a single key, unless it is already known
+   * @private
+   * @param {Error} err - A potential error of the operation
+   * @param {String} operation - The operation name
+   * @param {Array} keys - The cache keys of the operation
+   */
+  function setErrorKey(err, operation, keys) {
+    if (err instanceof errors.CacheError && err.key === undefined && keys.length === 1 &&
+      KEY_OPERATIONS.indexOf(operation) !== -1) {
+      err.key = keys[0];
+    }
+  }
+
+  /**
+   * Helper to ask the circuit breaker whether an operation may run
+   * @private
+   * @returns {boolean} true if the operation is short-circuited
+   */
+  function isShortCircuited() {
+    return Boolean(breaker) && !breaker.allow();
+  }
+
+  /**
+   * Helper to record the outcome of an operation in the circuit breaker: connection failures, timeouts and errors of
+   * an unavailable server are failures, operations Redis replied to are successes, and the other ones, which did
+   * not reach Redis, are not recorded
+   * @private
+   * @param {Error} err - A potential error of the operation
+   * @param {Object} bounds - The bounds of the operation, see guard
+   */
+  function recordOutcome(err, bounds) {
+    if (!breaker) {
+      return;
+    }
+    if (isOutage(err)) {
+      breaker.failure();
+    } else if (bounds.answered) {
+      breaker.success();
+    } else {
+      breaker.cancel();
+    }
+  }
+
+  /**
+   * Helper to tell whether an error is a connection failure, a timeout or an error of an unavailable server
+   * @private
+   * @param {Error} err - A potential error
+   * @returns {boolean} true for connection failures, timeouts and errors of unavailable servers
+   */
+  function isOutage(err) {
+    return err instanceof errors.ConnectionError || err instanceof errors.TimeoutError ||
+      (err instanceof errors.CommandError && UNAVAILABLE_CODES.indexOf(err.cause.code) !== -1);
+  }
+
+  /**
+   * Helper to tell whether the circuit is open
+   * @private
+   * @returns {boolean} true if the circuit breaker is open
+   */
+  function isCircuitOpen() {
+    return Boolean(breaker) && breaker.getState() === 'open';
+  }
+
+  /**
+   * Helper to call the hooks of a stage, in the order they were added
+   * @private
+   * @param {String} stage - 'before' or 'after'
+   * @param {Object} ctx - The operation context
+   * @returns {Error} the error thrown by a hook, which stops the next hooks
+   */
+  function runHooks(stage, ctx) {
+    for (var i = 0; i < hooks.length; ++i) {
+      try {
+        if (hooks[i][stage]) {
+          hooks[i][stage](ctx);
+        }
+      } catch (e) {
+        return e;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Helper to bound an operation with the acquire and command timeouts, and to cancel it with its abort signal.
+   * The connection of a timed out or aborted command is closed, the pending reply releasing it to be destroyed.
+   * Attempts failing with transient errors are retried from their connection, see retry.
+   * @private
+   * @param {String} operation - The operation name
+   * @param {Object} options - The operation options
+   * @param {Function} cb - The operation callback
+   * @returns {Object} the operation callback, called once, as done, connecting, to call with the function
+   *            connecting the operation to retry it, acquired, to call with the connections acquired by the
+   *            operation, which returns false once the operation is over, and answered, set once Redis replied to
+   *            the operation, see handleResponse
+   */
+  function guard(operation, options, cb) {
+    var acquireTimeout = getTimeout(options, 'acquireTimeout');
+    var commandTimeout = getTimeout(options, 'commandTimeout');
+    var signal = options.signal;
+    var bounds = {};
+    var over = false;
+    var conn = null;
+    var timer = null;
+    var attempt = 1;
+    var reconnect = null;
+
+    function expire(timeout, phase) {
+      if (!timeout) {
+        return;
+      }
+      timer = setTimeout(function() {
+        bounds.done(new errors.TimeoutError(phase === 'acquire' ?
+          operation + ' timed out acquiring a connection after ' + timeout + 'ms' :
+          operation + ' timed out after ' + timeout + 'ms', { timeout: timeout, phase: phase }));
+        abandon();
+      }, timeout);
+    }
+
+    // closing the connection fails its pending commands, whose replies release it to be destroyed
+    function abandon() {
+      if (conn && conn.end && leases.get(conn) === bounds) {
+        conn.end(true);
+      }
+    }
+
+    function onAbort() {
+      bounds.done(getAbortError(operation, signal));
+      abandon();
+    }
+
+    // timed out attempts are abandoned rather than retried, as they may still call back
+    function isRetried(err) {
+      return Boolean(err && reconnect) && !(err instanceof errors.TimeoutError) &&
+        retryPolicy.shouldRetry(operation, err, attempt);
+    }
+
+    function retry(err) {
+      var delay = retryPolicy.getDelay(attempt);
+      var next = reconnect;
+
+      reconnect = conn = null;
+      attempt++;
+      stats.increment('retries');
+      self.events.emit('retry', { command: operation, attempt: attempt, delay: delay, error: err });
+      timer = setTimeout(function() {
+        expire(acquireTimeout, 'acquire');
+        next();
+      }, delay);
+    }
+
+    bounds.done = function(err) {
+      if (over) {
+        return;
+      }
+      clearTimeout(timer);
+      if (isRetried(err)) {
+        return retry(err);
+      }
+      over = true;
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      cb.apply(null, arguments);
+    };
+
+    bounds.connecting = function(fn) {
+      reconnect = fn;
+    };
+
+    bounds.acquired = function(connection) {
+      if (over) {
+        return false;
+      }
+      conn = connection;
+      leases.set(conn, bounds);
+      clearTimeout(timer);
+      expire(commandTimeout, 'command');
+      return true;
+    };
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+    expire(acquireTimeout, 'acquire');
+    return bounds;
+  }
+
+  /**
+   * Helper to get a timeout, the operation one overriding the store one
+   * @private
+   * @param {Object} options - The operation options
+   * @param {String} name - 'acquireTimeout' or 'commandTimeout'
+   * @returns {Number} the timeout in milliseconds, none when falsy
+   */
+  function getTimeout(options, name) {
+    return (options[name] === undefined) ? redisOptions[name] : options[name];
+  }
+
+  /**
+   * Helper to build the error of an aborted operation
+   * @private
+   * @param {String} operation - The operation name
+   * @param {Object} [signal] - The abort signal of the operation (optional)
+   * @returns {Error} the AbortError once the signal is aborted, otherwise null
+   */
+  function getAbortError(operation, signal) {
+    return (signal && signal.aborted) ? new errors.AbortError(operation + ' aborted', { cause: signal.reason }) : null;
+  }
+
+  /**
+   * Helper to count the hits and misses of a read, emitted as 'hit' and 'miss' events with the key
+   * @private
+   * @param {Array} keys - The cache keys
+   * @param {Array} results - The values, null for misses
+   */
+  function countLookups(keys, results) {
+    results.forEach(function(result, i) {
+      var hit = result !== null && result !== undefined;
+      stats.increment(hit ? 'hits' : 'misses');
+      self.events.emit(hit ? 'hit' : 'miss', keys[i]);
+    });
+  }
+
+  /**
+   * Helper to count the bytes read from Redis
+   * @private
+   * @param {Array} results - The raw values
+   */
+  function countBytesIn(results) {
+    results.forEach(result => stats.increment('bytesIn', result ? Buffer.byteLength(result) : 0));
+  }
+
+  /**
+   * Helper to invalidate the in-process cache entries of written keys in every process, then to publish the
+   * notification of the write when it succeeds
+   * @private
+   * @param {Array} keys - The cache keys, or null for every key. Operations deleting keys they only know once done
+   *            fill the array, writes of no key are not notified.
+   * @param {Function} cb - The write callback
+   * @param {String} [type] - The notification type, see subscribe (optional)
+   * @returns {Function} the write callback, invalidating the entries first
+   */
+  function afterWrite(keys, cb, type) {
+    var publishing = Boolean(type && redisOptions.notifications && notificationOptions.publish);
+    if (!l1 && !publishing) {
+      return cb;
+    }
+
+    return function(err) {
+      invalidateL1(keys && keys.map(prefixKey));
+      if (!err && publishing && (!keys || keys.length)) {
+        publish(type, keys);
+      }
+      cb.apply(null, arguments);
+    };
+  }
+
+  /**
+   * Helper to invalidate in-process cache entries, in every process
+   * @private
+   * @param {Array} keys - The Redis keys, or null for every key
+   */
+  function invalidateL1(keys) {
+    if (!l1) {
+      return;
+    }
+    if (keys) {
+      l1.delete(keys);
+    } else {
+      l1.clear();
+    }
+    invalidation.publish(keys);
+  }
+
+  /**
+   * Helper to publish a notification, errors are emitted as 'redisError' events
+   * @private
+   * @param {String} type - The notification type
+   * @param {Array} keys - The cache keys, or null for resets
+   */
+  function publish(type, keys) {
+    connect(function(err, conn) {
+      if (err) {
+        return self.events.emit('redisError', err);
+      }
+      conn.publish(notificationOptions.channel, createNotifications.encode(type, keys),
+        handleResponse(conn, err => err && self.events.emit('redisError', err)));
+    });
+  }
+
+  /**
+   * Helper to create a connection pool
+   * @private
+   * @param {Object} options - The Redis client options
+   * @returns {Object} the pool
+   */
+  function createPool(options) {
+    var newPool = new RedisPool(options, poolSettings);
+
+    newPool.on('error', function(err) {
+      self.events.emit('redisError', err);
+    });
+    return newPool;
+  }
+
+  /**
+   * Helper to switch the pool to the master discovered by the sentinels. The previous pool is drained,
+   * connections in use are closed once released.
+   * @private
+   * @param {Object} address - The master address
+   * @param {Object} previous - The previous master address, null on discovery
+   */
+  function onMaster(address, previous) {
+    var oldPool = pool;
+
+    pool = createPool(Object.assign(getClientOptions(), address));
+    self._pool = pool;
+
+    if (oldPool) {
+      oldPool.drain(() => {});
+      self.events.emit('failover', { master: address, previous: previous });
+    }
+    if (invalidation) {
+      invalidation.restart();
+    }
+    notifications.restart();
+    flushWaitingMaster(null);
+  }
+
+  /**
+   * Helper to switch the read pool to a healthy replica, keeping the current one while it is healthy.
+   * Reads go to the master when there is no healthy replica.
+   * @private
+   * @param {Array} replicas - The healthy replicas addresses
+   */
+  function onReplicas(replicas) {
+    if (readPool && replicas.some(r => r.host === readAddress.host && r.port === readAddress.port)) {
+      return;
+    }
+
+    var oldPool = readPool;
+
+    readAddress = replicas[Math.floor(Math.random() * replicas.length)];
+    readPool = readAddress ? createPool(Object.assign(getClientOptions(), readAddress)) : null;
+    self._readPool = readPool;
+
+    if (oldPool) {
+      oldPool.drain(() => {});
+    }
+  }
+
+  /**
+   * Helper to call back the operations waiting for the master to be discovered
+   * @private
+   * @param {Error} err - A potential discovery error
+   */
+  function flushWaitingMaster(err) {
+    var waiting = waitingMaster;
+    waitingMaster = [];
+    waiting.forEach(cb => cb(err));
+  }
+
+  /**
+   * Helper to connect to a connection pool
+   * @private
+   * @param {Function} cb - A callback that returns a potential error and the connection
+   * @param {Object} [options] - The options (optional)
+   * @param {boolean} [options.read] - The connection is only used for reads, and may be acquired from a replica
+   * @param {Object} [options.pool] - The pool to acquire the connection from, instead of the store one
+   * @param {Object} [options.guard] - The bounds of the operation acquiring the connection, see guard
+   */
+  function connect(cb, options) {
+    options = options || {};
+    if (options.guard) {
+      options.guard.connecting(() => connect(cb, options));
+    }
+    if (!pool) {
+      return waitForMaster(cb, options);
+    }
+
+    var target = getPool(options);
+    target.acquireDb(function(err, conn) {
+      if (err) {
+        return cb(errors.wrap(errors.ConnectionError, err));
+      }
+      owners.set(conn, target);
+      // the operation timed out or was aborted while waiting for the connection
+      if (options.guard && !options.guard.acquired(conn)) {
+        return release(conn);
+      }
+      cb(null, conn);
+    }, redisOptions.db);
+  }
+
+  /**
+   * Helper to connect for reads only, to a replica when reads are routed to replicas
+   * @private
+   * @param {Function} cb - A callback that returns a potential error and the connection
+   * @param {Object} [bounds] - The bounds of the operation, see guard (optional)
+   */
+  function connectRead(cb, bounds) {
+    connect(cb, { read: true, guard: bounds });
+  }
+
+  /**
+   * Helper to wait for the sentinels to discover the master before connecting
+   * @private
+   * @param {Function} cb - A callback that returns a potential error and the connection
+   * @param {Object} [options] - The connection options, see connect
+   */
+  function waitForMaster(cb, options) {
+    waitingMaster.push(err => err ? cb(errors.wrap(errors.ConnectionError, err)) : connect(cb, options));
+
+    if (waitingMaster.length === 1) {
+      sentinel.start(function(err) {
+        if (err) {
+          flushWaitingMaster(err);
+        }
+      });
+    }
+  }
+
+  /**
+   * Helper to get the pool of a connection
+   * @private
+   * @param {Object} options - The connection options, see connect
+   * @returns {Object} the pool
+   */
+  function getPool(options) {
+    return options.pool || (options.read && readPool) || pool;
+  }
+
+  /**
+   * Helper to release a connection to the pool it was acquired from
+   * @private
+   * @param {Object} conn - The Redis connection
+   */
+  function release(conn) {
+    leases.delete(conn);
+    (owners.get(conn) || pool).release(conn);
+  }
+
+  /**
+   * Helper to build the Redis client options. The key prefix is applied by the store itself, it is removed
+   * so node_redis does not prefix keys a second time.
+   * @private
+   * @returns {Object} the Redis client options
+   */
+  function getClientOptions() {
+    var options = Object.assign({}, redisOptions);
+    delete options.prefix;
+    delete options.sentinels;
+    delete options.cluster;
+    delete options.redlock;
+    delete options.l1;
+    delete options.notifications;
+    delete options.hooks;
+    delete options.circuitBreaker;
+    delete options.retry;
+    delete options.onDecodeError;
+    return options;
+  }
+
+  /**
+   * Helper to read the key prefix option
+   * @private
+   * @returns {String} the key prefix, empty if none is set
+   */
+  function getKeyPrefix() {
+    return redisOptions.keyPrefix || redisOptions.prefix || '';
+  }
+
+  /**
+   * Helper to prepend the key prefix to a key
+   * @private
+   * @param {String} key - The cache key
+   * @returns {String} the Redis key
+   */
+  function prefixKey(key) {
+    return keyPrefix ? keyPrefix + key : key;
+  }
+
+  /**
+   * Helper to convert cache keys to Redis keys as Buffers, so values are read as Buffers to detect compressed
+   * payloads. Keys which are not strings, such as numbers, are converted to strings.
+   * @private
+   * @param {Array} keys - The cache keys
+   * @returns {Array} the Redis keys
+   */
+  function toBufferKeys(keys) {
+    return keys.map(key => Buffer.from(String(prefixKey(key))));
+  }
+
+  /**
+   * Helper to remove the key prefix from a Redis key
+   * @private
+   * @param {String} key - The Redis key
+   * @returns {String} the cache key
+   */
+  function unprefixKey(key) {
+    return key.slice(keyPrefix.length);
+  }
+
+  /**
+   * Helper to escape the special characters of glob-style patterns
+   * @private
+   * @param {String} str - The string to escape
+   * @returns {String} the pattern matching the string
+   */
+  function escapeGlob(str) {
+    return str.replace(/[*?[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Helper to prepend the key prefix to a glob-style pattern, escaping the prefix special characters
+   * @private
+   * @param {String} pattern - The pattern
+   * @returns {String} the pattern matching Redis keys
+   */
+  function prefixPattern(pattern) {
+    return escapeGlob(keyPrefix) + pattern;
+  }
+
+  /**
+   * Helper to read the tag prefix option
+   * @private
+   * @returns {String} the prefix of tag sets
+   */
+  function getTagPrefix() {
+    return redisOptions.tagPrefix || 'tag:';
+  }
+
+  /**
+   * Helper to get the Redis key of the set holding the keys of a tag
+   * @private
+   * @param {String} tag - The tag
+   * @returns {String} the Redis key of the tag set
+   */
+  function tagKey(tag) {
+    return prefixKey(getTagPrefix() + tag);
+  }
+
+  /**
+   * Helper to get the Redis key of the set holding the tag set keys of an entry, which tells whether an entry of a
+   * tag set is still tagged with it, see invalidateTags
+   * @private
+   * @param {String} key - The cache key
+   * @returns {String} the Redis key of the set of the entry tags
+   */
+  function entryTagsKey(key) {
+    return prefixKey((redisOptions.entryTagsPrefix || 'tags:') + key);
+  }
+
+  /**
+   * Helper to run a tag script on tag sets. Their entries are read first, so every key the script accesses is
+   * passed in KEYS: the tag set keys, then the key of each entry followed by the key of the set of its tags. The
+   * script is run again when entries were tagged in the meantime.
+   * @private
+   * @param {Object} conn - The Redis connection
+   * @param {Object} script - The script, invalidateTags or pruneTags
+   * @param {Array} tagKeys - The tag set keys
+   * @param {Function} cb - A callback that returns a potential error and the script result
+   */
+  function runOnTags(conn, script, tagKeys, cb) {
+    conn.send_command('sunion', tagKeys, function(err, entries) {
+      if (err) {
+        return cb(err);
+      }
+
+      var keys = entries.reduce((keys, entry) => keys.concat(entry, entryTagsKey(unprefixKey(entry))), tagKeys);
+      scripts.run(conn, script, keys, [tagKeys.length], function(err, result) {
+        return (result === -1) ? runOnTags(conn, script, tagKeys, cb) : cb(err, result);
+      });
+    });
+  }
+
+  /**
+   * Helper to get the Redis key of the lock of a cache key
+   * @private
+   * @param {String} key - The cache key
+   * @returns {String} the Redis key of the lock
+   */
+  function lockKey(key) {
+    return prefixKey((redisOptions.lockPrefix || 'lock:') + key);
+  }
+
+  /**
+   * Helper to iterate over the keys matching a pattern using the SCAN command, on every master in cluster mode
+   * @private
+   * @param {Object} conn - The Redis connection
+   * @param {String} pattern - The pattern used to match keys
+   * @param {Object} options - The options
+   * @param {number} [options.scanCount] - The number of keys to traverse with each call to SCAN (default: 100)
+   * @param {String} [options.type] - Only iterate over keys of this Redis type (Redis >= 6)
+   * @param {Function} onKeys - Called with each batch of keys and a callback to call once the batch is handled
+   * @param {Function} cb - A callback that returns a potential error once every key is iterated
+   */
+  function scan(conn, pattern, options, onKeys, cb) {
+    if (cluster) {
+      return cluster.eachMaster((nodeConn, next) => scanNode(nodeConn, pattern, options, onKeys, next), cb);
+    }
+    scanNode(conn, pattern, options, onKeys, cb);
+  }
+
+  /**
+   * Helper to iterate over the keys of a node matching a pattern, see scan
+   * @private
+   * @param {Object} conn - The Redis connection
+   * @param {String} pattern - The pattern used to match keys
+   * @param {Object} options - The scan options
+   * @param {Function} onKeys - Called with each batch of keys and a callback to call once the batch is handled
+   * @param {Function} cb - A callback that returns a potential error once every key is iterated
+   */
+  function scanNode(conn, pattern, options, onKeys, cb) {
+    var scanArgs = ['match', pattern, 'count', Number(options.scanCount) || 100];
+    if (options.type) {
+      scanArgs.push('type', options.type);
+    }
+
+    (function nextBatch(cursorId) {
+      conn.scan.apply(conn, [cursorId].concat(scanArgs, function (err, result) {
+        if (err) {
+          return cb(err);
+        }
+
+        onKeys(result[1], function (err) {
+          if (err) {
+            return cb(err);
+          }
+          if (result[0] !== '0') {
+            return nextBatch(result[0]);
+          }
+          cb(null);
+        });
+      }));
+    })(0);
+  }
+
+  /**
+   * Helper to delete keys with UNLINK, which frees memory in the background, falling back to DEL
+   * on Redis servers not supporting it
+   * @private
+   * @param {Object} conn - The Redis connection
+   * @param {Array} keys - The Redis keys to delete
+   * @param {Function} cb - A callback that returns a potential error and the number of deleted keys
+   */
+  function unlink(conn, keys, cb) {
+    if (!unlinkSupported) {
+      return conn.del(keys, cb);
+    }
+
+    conn.send_command('unlink', keys, function (err, count) {
+      if (err && /unknown command/i.test(err.message)) {
+        unlinkSupported = false;
+        return conn.del(keys, cb);
+      }
+      cb(err, count);
+    });
+  }
+
+  /**
+   * Helper to incrementally delete the keys matching a pattern, by batches so large namespaces
+   * don't block Redis
+   * @private
+   * @param {Object} conn - The Redis connection
+   * @param {String} pattern - The pattern used to match Redis keys
+   * @param {Number} batchSize - The number of keys scanned and deleted per batch
+   * @param {Function} onBatch - Called after each batch with the number of keys deleted so far and the Redis keys
+   *            of the batch
+   * @param {Function} cb - A callback that returns a potential error and the number of deleted keys
+   */
+  function deleteMatching(conn, pattern, batchSize, onBatch, cb) {
+    var deleted = 0;
+
+    scan(conn, pattern, { scanCount: batchSize }, function (keys, next) {
+      (function nextChunk(start) {
+        if (start >= keys.length) {
+          return next();
+        }
+
+        unlink(conn, keys.slice(start, start + batchSize), function (err, count) {
+          if (err) {
+            return next(err);
+          }
+          deleted += count;
+          onBatch(deleted, keys.slice(start, start + batchSize));
+          nextChunk(start + batchSize);
+        });
+      })(0);
+    }, err => cb(err, deleted));
+  }
+
+  /**
+   * Helper to create the Redis instances locks are set on: the store Redis server, or the Redlock servers. Lock
+   * commands are instrumented like the other operations on the store server, and only bounded by the timeouts and
+   * the abort signal of the lock options on the Redlock servers, which are not the circuit breaker ones.
+   * @private
+   * @returns {Array} the instances, see lib/lock
+   */
+  function getLockInstances() {
+    return (redisOptions.redlock || [null]).map(function(address) {
+      var pool = address && createPool(Object.assign(getClientOptions(), address));
+
+      return function(operation, fn, options, cb) {
+        var op = pool ? { failure: getAbortError(operation, options.signal), guard: guard(operation, options, cb) } :
+          instrument(operation, [], options, cb);
+        cb = op.guard.done;
+        if (op.failure) {
+          return cb(op.failure);
+        }
+
+        connect(function(err, conn) {
+          return err ? cb(err) : fn(conn, handleResponse(conn, cb));
+        }, { pool: pool, guard: op.guard });
+      };
+    });
+  }
+
+  /**
+   * Helper to create the handle of an acquired lock
+   * @private
+   * @param {String} resource - The locked resource name
+   * @param {String} key - The lock key
+   * @param {Object} acquired - The lock token and expiration timestamp
+   * @returns {Object} the lock handle
+   */
+  function lockHandle(resource, key, acquired) {
+    var handle = {
+      resource: resource,
+      token: acquired.token,
+      expiration: acquired.expiration,
+      extend: function(ttl, cb) {
+        return new Promise((resolve, reject) => {
+          cb = cb || ((err, res) => err ? reject(err) : resolve(res));
+          locker.extend(key, handle.token, ttl, {}, function(err, expiration) {
+            if (err || !expiration) {
+              return cb(err || new errors.LockError('the lock of ' + resource + ' is not held anymore',
+                { key: resource }));
+            }
+            handle.expiration = expiration;
+            cb(null, handle);
+          });
+        });
+      },
+      release: function(cb) {
+        return new Promise((resolve, reject) => {
+          cb = cb || ((err, res) => err ? reject(err) : resolve(res));
+          locker.release(key, handle.token, {}, cb);
+        });
+      }
+    };
+
+    return handle;
+  }
+
+  /**
+   * Helper to run a loader, calling back with a value or returning a Promise
+   * @private
+   * @param {Function} loader - The loader
+   * @param {Function} cb - A callback that returns a potential error and the value
+   */
+  function runLoader(loader, cb) {
+    var called = false;
+
+    function done(err, value) {
+      if (!called) {
+        called = true;
+        cb(err, value);
+      }
+    }
+
+    try {
+      var result = loader(done);
+      if (result && typeof result.then === 'function') {
+        result.then(value => done(null, value), done);
+      }
+    } catch (e) {
+      done(e);
+    }
+  }
+
+  /**
+   * Helper to compute a value with its loader, then cache it if it is cacheable
+   * @private
+   * @param {String} key - The cache key
+   * @param {Function} loader - The loader
+   * @param {Object} options - The set options
+   * @param {Function} cb - A callback that returns a potential error and the value
+   */
+  function load(key, loader, options, cb) {
+    var start = Date.now();
+
+    runLoader(loader, function(err, value) {
+      if (err || !self.isCacheableValue(value)) {
+        return cb(err, value);
+      }
+      self.set(key, value, Object.assign({}, options, { delta: Date.now() - start }), err => cb(err, value));
+    });
+  }
+
+  /**
+   * Helper to compute a value while holding its lock, unless another process cached it in the meantime
+   * @private
+   * @param {String} key - The cache key
+   * @param {Function} loader - The loader
+   * @param {Object} options - The get and set options
+   * @param {String} token - The lock token
+   * @param {Function} cb - A callback that returns a potential error and the value
+   */
+  function loadLocked(key, loader, options, token, cb) {
+    self.get(key, options, function(err, result) {
+      if (err || result !== null) {
+        return locker.release(lockKey(key), token, {}, () => cb(err, result));
+      }
+
+      // the lock expires by itself if it can't be released
+      load(key, loader, options, (err, value) => locker.release(lockKey(key), token, {}, () => cb(err, value)));
+    });
+  }
+
+  /**
+   * Helper to recompute a stale or expiring value in the background, unless another process is already doing it
+   * @private
+   * @param {String} key - The cache key
+   * @param {Function} loader - The loader
+   * @param {Object} options - The get and set options
+   * @param {Number} lockTtl - The lock ttl, in milliseconds
+   */
+  function refreshInBackground(key, loader, options, lockTtl) {
+    locker.acquire(lockKey(key), lockTtl, { retryCount: 0 }, function(err, lock) {
+      if (err) {
+        return self.events.emit('redisError', err);
+      }
+      if (!lock) {
+        return;
+      }
+      // the entry is still cached, so it is recomputed without checking whether it was refreshed in the meantime
+      load(key, loader, options, function(err) {
+        locker.release(lockKey(key), lock.token, {}, () => {});
+        return err && self.events.emit('refreshError', err, key);
+      });
+    });
+  }
+
+  /**
+   * Helper to resolve the pattern of the keys deleted by reset
+   * @private
+   * @returns {String} the pattern, or null if reset flushes the whole db
+   */
+  function getResetPattern() {
+    if (!redisOptions.resetPattern && !keyPrefix) {
+      return null;
+    }
+    return prefixPattern(redisOptions.resetPattern || '*');
+  }
+
+  /**
+   * Helper to resolve the compression configuration of a command
+   * @private
+   * @param {Object} options - The command options
+   * @returns {Object|boolean} the compression configuration, or a falsy value if compression is disabled. A command
+   *            configuration object is merged over the store one, and true enables the store one.
+   */
+  function getCompress(options) {
+    var compress = options.compress;
+
+    if (!compress && compress !== false) {
+      return redisOptions.compress;
+    }
+    if (compress === true) {
+      return redisOptions.compress || compressDefault;
+    }
+    return compress && Object.assign({}, redisOptions.compress, compress);
+  }
+
+  /**
+   * Helper to resolve a serializer from its name
+   * @private
+   * @param {String|Object} [serializer] - The serializer name or implementation (default: 'json')
+   * @returns {Object} the serializer implementation
+   */
+  function resolveSerializer(serializer) {
+    if (!serializer) {
+      return serializers.json;
+    }
+    if (typeof serializer !== 'string') {
+      return serializer;
+    }
+    if (!serializers.hasOwnProperty(serializer)) {
+      throw new Error('unknown serializer ' + serializer);
+    }
+    return serializers[serializer];
+  }
+
+  /**
+   * Helper to resolve how values of a command are encoded
+   * @private
+   * @param {Object} options - The command options
+   * @returns {Object} the compression configuration and the serializer of the command
+   */
+  function getEncoding(options) {
+    return {
+      compress: getCompress(options),
+      serializer: options.serializer ? resolveSerializer(options.serializer) : serializer,
+      staleTtl: getStaleTtl(options),
+      refreshAhead: getRefreshAhead(options)
+    };
+  }
+
+  /**
+   * Helper to read the refresh-ahead configuration of a command, falling back to the store one
+   * @private
+   * @param {Object} options - The command options
+   * @returns {Number} the XFetch beta, 0 if refresh-ahead is disabled
+   */
+  function getRefreshAhead(options) {
+    var refreshAhead = (options.refreshAhead === undefined) ? redisOptions.refreshAhead : options.refreshAhead;
+    if (!refreshAhead) {
+      return 0;
+    }
+    return Number(refreshAhead.beta) || 1;
+  }
+
+  /**
+   * Helper to read the ttl of a command, falling back to the store one
+   * @private
+   * @param {Object} options - The command options
+   * @returns {Number} the ttl in seconds
+   */
+  function getTtl(options) {
+    return (options.ttl || options.ttl === 0) ? options.ttl : redisOptions.ttl;
+  }
+
+  /**
+   * Helper to read the stale ttl of a command, falling back to the store one
+   * @private
+   * @param {Object} options - The command options
+   * @returns {Number} the stale ttl in seconds, undefined if none is set
+   */
+  function getStaleTtl(options) {
+    return (options.staleTtl === undefined) ? redisOptions.staleTtl : options.staleTtl;
+  }
+
+  /**
+   * Helper to know if a value read from Redis is wrapped in an envelope. Values of binary serializers are only
+   * sniffed when a stale ttl or refresh-ahead is set as they may look wrapped.
+   * @private
+   * @param {Buffer} result - The raw value
+   * @param {Object} encoding - The command encoding
+   * @returns {boolean} true if the value is wrapped
+   */
+  function isWrapped(result, encoding) {
+    if (!encoding.staleTtl && !encoding.refreshAhead && encoding.serializer.binary) {
+      return false;
+    }
+    return envelope.isWrapped(result);
+  }
+
+  /**
+   * Helper to build the value and ttl stored for an entry. An entry with a stale ttl is kept stale for staleTtl
+   * seconds after its ttl, its value is wrapped with the time until which it is fresh. With refresh-ahead, the value
+   * is wrapped with the time it took to compute.
+   * @private
+   * @param {String|Buffer} val - The encoded value
+   * @param {Number} ttl - The entry ttl in seconds
+   * @param {Object} encoding - The command encoding
+   * @param {Number} [delta] - The time the value took to compute, in milliseconds
+   * @returns {Object} the value and ttl to store
+   */
+  function toEntry(val, ttl, encoding, delta) {
+    var meta = {};
+
+    if (ttl && encoding.staleTtl) {
+      meta.f = Date.now() + ttl * 1000;
+    }
+    if (encoding.refreshAhead && delta !== undefined) {
+      meta.d = Number(delta);
+    }
+    if (!Object.keys(meta).length) {
+      return { value: val, ttl: ttl };
+    }
+    return {
+      value: envelope.wrap(val, meta),
+      ttl: meta.f ? Number(ttl) + Number(encoding.staleTtl) : ttl
+    };
+  }
 
-  redisOptions.host = redisOptions.host || '127.0.0.1';
-  redisOptions.port = redisOptions.port || 6379;
-  redisOptions.db = redisOptions.db || 0;
+  /**
+   * Helper to read a raw value, from the in-process cache when it is coherent. The remaining ttl is read in the same
+   * round trip when the value is cached in process or refreshed ahead.
+   * @private
+   * @param {Buffer} key - The Redis key
+   * @param {Object} encoding - The command encoding
+   * @param {Object} bounds - The bounds of the operation, see guard
+   * @param {Function} cb - A callback that returns a potential error, the raw value and its remaining ttl in
+   *            milliseconds, when it is read
+   */
+  function readRaw(key, encoding, bounds, cb) {
+    var cacheable = Boolean(l1 && invalidation.isReady());
+    var cached = cacheable && l1.get(key.toString());
 
-  // default compress config
-  redisOptions.detect_buffers = true;
-  var compressDefault = {
-    type: 'gzip',
-    params: {
-      level: zlib.Z_BEST_SPEED
+    if (cached) {
+      stats.increment('l1Hits');
+      return cb(null, cached.value, cached.pttl);
     }
-  };
 
-  // if compress is boolean true, set default
-  if (redisOptions.compress === true) {
-    redisOptions.compress = compressDefault;
+    connectRead(function(err, conn) {
+      if (err) {
+        return cb(err);
+      }
+      if (!cacheable && !encoding.refreshAhead) {
+        return conn.get(key, handleResponse(conn, function(err, result) {
+          countBytesIn([result]);
+          cb(err, result);
+        }));
+      }
+
+      var token = cacheable && l1.begin(key.toString());
+      scripts.run(conn, scripts.getWithTtl, [key], [], handleResponse(conn, function(err, result) {
+        result = result || [null, -2];
+        countBytesIn([result[0]]);
+        // the replies of abandoned commands are errors, see guard
+        if (cacheable && !err && result[0] !== null) {
+          l1.set(key.toString(), result[0], result[1], token);
+        } else if (cacheable) {
+          l1.end(key.toString(), token);
+        }
+        cb(err, result[0], result[1]);
+      }));
+    }, bounds);
+  }
+
+  /**
+   * Helper to decide whether an entry should be recomputed before it expires, with the XFetch algorithm: the closer
+   * the entry is to its expiration and the longer it took to compute, the likelier a caller recomputes it.
+   * @private
+   * @param {Object} meta - The entry metadata
+   * @param {Number} pttl - The remaining ttl of the entry, in milliseconds
+   * @param {Number} beta - The XFetch beta, higher values recompute earlier
+   * @returns {boolean} true if the entry should be recomputed
+   */
+  function shouldRefresh(meta, pttl, beta) {
+    if (!meta || meta.d === undefined || pttl <= 0) {
+      return false;
+    }
+
+    var now = Date.now();
+    // stale entries expire once they are not fresh anymore
+    var expiry = meta.f || now + pttl;
+    return now - meta.d * beta * Math.log(Math.random()) >= expiry;
   }
 
-  var pool = new RedisPool(redisOptions, poolSettings);
+  /**
+   * Helper to apply the freshness of an entry to a value read from Redis
+   * @private
+   * @param {*} value - The decoded value
+   * @param {Object} meta - The entry metadata, null for entries without stale ttl
+   * @param {Object} options - The read options
+   * @param {boolean} [options.allowStale] - Return stale values instead of null
+   * @param {boolean} [options.metadata] - Return stale values, as { value, stale } objects
+   * @param {boolean} [refresh] - Whether the entry should be recomputed ahead of its expiration, added to the
+   *            metadata when set
+   * @returns {*} the value, null for misses
+   */
+  function readEntry(value, meta, options, refresh) {
+    var stale = Boolean(meta && meta.f <= Date.now());
 
-  pool.on('error', function(err) {
-    self.events.emit('redisError', err);
-  });
+    if (options.metadata && value !== null) {
+      var entry = { value: value, stale: stale };
+      return (refresh === undefined) ? entry : Object.assign(entry, { refresh: refresh });
+    }
+    if (options.metadata) {
+      return null;
+    }
+    return (stale && !options.allowStale) ? null : value;
+  }
 
   /**
-   * Helper to connect to a connection pool
+   * Helper to know if a value read from Redis is compressed, whatever the compression configuration is.
+   * Values of binary serializers are only sniffed when compression is enabled as they may look compressed.
    * @private
-   * @param {Function} cb - A callback that returns
+   * @param {Buffer} result - The raw value
+   * @param {Object} encoding - The command encoding
+   * @returns {boolean} true if the value is compressed
    */
-  function connect(cb) {
-    pool.acquireDb(cb, redisOptions.db);
+  function isCompressed(result, encoding) {
+    if (!encoding.compress && encoding.serializer.binary) {
+      return false;
+    }
+    return Buffer.isBuffer(result) && codecs.isCompressed(result);
   }
 
   /**
-   * Helper to handle callback and release the connection
+   * Helper to serialize and optionally compress a value before storing it
    * @private
-   * @param {Object} conn - The Redis connection
-   * @param {Function} [cb] - A callback that returns a potential error and the result
-   * @param {Object} [opts] - The options (optional)
+   * @param {*} value - The value to encode
+   * @param {Object} encoding - The command encoding
+   * @param {Function} cb - A callback that returns a potential error and the encoded value
    */
-  function handleResponse(conn, cb, opts) {
-    opts = opts || {};
+  function encodeValue(value, encoding, cb) {
+    var val;
 
-    return function(err, result) {
-      pool.release(conn);
+    try {
+      val = serialize(value, encoding.serializer);
+    } catch (e) {
+      return cb(errors.wrap(errors.EncodeError, e));
+    }
+
+    // small values are stored uncompressed, they are detected as such on read, but values of binary serializers
+    // may look compressed so they are always compressed
+    var threshold = (encoding.compress && !encoding.serializer.binary && encoding.compress.threshold) || 0;
+    if (encoding.compress && Buffer.byteLength(val) >= threshold) {
+      return codecs.compress(val, encoding.compress, function(err, compressed) {
+        if (err) {
+          return cb(errors.wrap(errors.EncodeError, err));
+        }
+        stats.increment('uncompressedBytes', Buffer.byteLength(val));
+        stats.increment('compressedBytes', compressed.length);
+        cb(null, compressed);
+      });
+    }
+
+    cb(null, val);
+  }
+
+  /**
+   * Helper to serialize a value, throwing an EncodeError if the serializer returns something else than a string or
+   * a Buffer, which can't be stored
+   * @private
+   * @param {*} value - The value to serialize
+   * @param {Object} serializer - The serializer
+   * @returns {String|Buffer} the serialized value
+   */
+  function serialize(value, serializer) {
+    var data = serializer.serialize(value);
+
+    if (typeof data !== 'string' && !Buffer.isBuffer(data)) {
+      throw new errors.EncodeError('the serializer returned ' + typeof data + ' instead of a string or a Buffer');
+    }
+    return data;
+  }
+
+  /**
+   * Helper to deserialize a value, Buffers are converted to strings unless the serializer reads Buffers
+   * @private
+   * @param {String|Buffer} data - The serialized value
+   * @param {Object} serializer - The serializer
+   * @param {Function} cb - A callback that returns a potential error and the value
+   */
+  function deserialize(data, serializer, cb) {
+    var value;
+
+    try {
+      value = serializer.deserialize((Buffer.isBuffer(data) && !serializer.buffers) ? data.toString() : data);
+    } catch (e) {
+      return cb(e);
+    }
+
+    cb(null, value);
+  }
+
+  /**
+   * Helper to unwrap, decompress if needed and deserialize a value read from Redis
+   * @private
+   * @param {String|Buffer} result - The raw value
+   * @param {Object} encoding - The command encoding
+   * @param {Function} cb - A callback that returns a potential error, the decoded value and the entry metadata
+   */
+  function decodeValue(result, encoding, cb) {
+    var meta = null;
+
+    if (result === null || result === undefined) {
+      return cb(null, null, meta);
+    }
+
+    if (isWrapped(result, encoding)) {
+      try {
+        var entry = envelope.unwrap(result);
+        meta = entry.meta;
+        result = entry.payload;
+      } catch (e) {
+        return cb(errors.wrap(errors.DecodeError, e));
+      }
+    }
+
+    var done = (err, value) => err ? cb(errors.wrap(errors.DecodeError, err)) : cb(null, value, meta);
+    if (isCompressed(result, encoding)) {
+      return codecs.decompress(result, encoding.compress || {}, function (cErr, cResult) {
+        if (cErr) {
+          return cb(errors.wrap(errors.DecodeError, cErr));
+        }
+        deserialize(cResult, encoding.serializer, done);
+      });
+    }
+
+    deserialize(result, encoding.serializer, done);
+  }
+
+  /**
+   * Helper to apply the decode error policy to a value that can't be decoded, such as a value written by another
+   * tool or truncated compressed data. Unless the policy is 'throw', the value is read as a miss and a
+   * 'decodeError' event is emitted, and with the 'delete' policy the key is deleted so that the entry heals.
+   * @private
+   * @param {DecodeError} err - The decode error, with the cache key
+   * @param {Object} options - The read options, see get
+   * @returns {boolean} true if the value is read as a miss, false if the error is returned
+   */
+  function recoverDecodeError(err, options) {
+    var policy = options.onDecodeError || redisOptions.onDecodeError || 'throw';
+    if (policy === 'throw') {
+      return false;
+    }
+
+    self.events.emit('decodeError', err, err.key);
+    if (policy === 'delete') {
+      deleteInBackground(err.key);
+    }
+    return true;
+  }
 
+  /**
+   * Helper to delete a key in the background, errors are emitted as 'redisError' events
+   * @private
+   * @param {String} key - The cache key
+   */
+  function deleteInBackground(key) {
+    connect(function(err, conn) {
       if (err) {
-        return cb && cb(err);
+        return self.events.emit('redisError', err);
       }
+      var done = afterWrite([key], err => err && self.events.emit('redisError', err), 'del');
+      conn.del(prefixKey(key), handleResponse(conn, done));
+    });
+  }
 
-      if (opts.parse) {
+  /**
+   * Helper to decode a list of values read from Redis
+   * @private
+   * @param {Array} keys - The cache keys, the one of a value that can't be decoded being set on its DecodeError
+   * @param {Array} results - The raw values
+   * @param {Object} encoding - The command encoding
+   * @param {Object} options - The read options, see readEntry
+   * @param {Function} cb - A callback that returns a potential error and the decoded values
+   */
+  function decodeValues(keys, results, encoding, options, cb) {
+    var values = new Array(results.length);
+    var pending = results.length;
+    var failed = false;
 
-        if (result && opts.compress) {
-          return zlib.gunzip(result, opts.compress.params || {}, function (gzErr, gzResult) {
-            if (gzErr) {
-              return cb && cb(gzErr);
-            }
-            try {
-              gzResult = JSON.parse(gzResult);
-            } catch (e) {
-              return cb && cb(e);
-            }
+    if (!pending) {
+      return cb(null, values);
+    }
 
-            return cb && cb(null, gzResult);
-          });
+    results.forEach(function(result, i) {
+      decodeValue(result, encoding, function(err, value, meta) {
+        if (failed) {
+          return;
+        }
+        if (err) {
+          err.key = keys[i];
+          if (!recoverDecodeError(err, options)) {
+            failed = true;
+            return cb(err);
+          }
         }
 
-        try {
-          result = JSON.parse(result);
-        } catch (e) {
-          return cb && cb(e);
+        values[i] = readEntry(err ? null : value, meta, options);
+        if (--pending === 0) {
+          cb(null, values);
         }
+      });
+    });
+  }
+
+  /**
+   * Helper to handle callback and release the connection
+   * @private
+   * @param {Object} conn - The Redis connection
+   * @param {Function} [cb] - A callback that returns a potential error and the result
+   */
+  function handleResponse(conn, cb) {
+    return function(err, result) {
+      var bounds = leases.get(conn);
+      if (bounds) {
+        bounds.answered = true;
+      }
+      release(conn);
+
+      if (err) {
+        return cb && cb(errors.wrap(err.name === 'ReplyError' ? errors.CommandError : errors.ConnectionError, err));
       }
 
       return cb && cb(null, result);
@@ -169,149 +1696,627 @@ function redisStore(args = {}) {
   }
 
   /**
-   * Get a value for a given key.
-   * @method get
-   * @param {String} key - The cache key
+   * Get a value for a given key.
+   * @method get
+   * @param {String} key - The cache key
+   * @param {Object} [options] - The options (optional)
+   * @param {boolean|Object} options.compress - compression configuration
+   * @param {String|Object} options.serializer - serializer overriding the store one
+   * @param {boolean} options.allowStale - return stale values instead of null
+   * @param {boolean} options.metadata - return values as { value, stale } objects, including stale ones
+   * @param {boolean|Object} options.refreshAhead - refresh-ahead overriding the store one, the metadata then tells
+   *            whether the entry should be recomputed ahead of its expiration as a refresh boolean
+   * @param {Number} options.commandTimeout - command timeout overriding the store one
+   * @param {Number} options.acquireTimeout - acquire timeout overriding the store one
+   * @param {AbortSignal} options.signal - signal cancelling the operation, which then fails with an AbortError
+   * @param {String} options.onDecodeError - decode error policy overriding the store one
+   * @param {Function} cb - A callback that returns a potential error and the response
+   * @returns {Promise}
+   */
+  self.get = function(key, options, cb) {
+    return new Promise(function(resolve, reject) {
+      if (typeof options === 'function') {
+        cb = options;
+        options = {};
+      }
+      options = options || {};
+
+      var op = instrument('get', [key], options, cb ? cb : (err, result) => err ? reject(err) : resolve(result),
+        result => countLookups(op.ctx.keys, [result]));
+      if (op.failure) {
+        return op.done(op.failure);
+      }
+      if (op.open) {
+        return op.done(null, null);
+      }
+      cb = op.done;
+      key = op.ctx.keys[0];
+
+      var encoding = getEncoding(options);
+      var redisKey;
+
+      try {
+        redisKey = toBufferKeys([key])[0];
+      } catch (e) {
+        return cb(errors.wrap(errors.CacheError, e));
+      }
+
+      readRaw(redisKey, encoding, op.guard, function(err, result, pttl) {
+        if (err) {
+          return cb(err);
+        }
+        decodeValue(result, encoding, function(err, value, meta) {
+          if (err) {
+            err.key = key;
+            return recoverDecodeError(err, options) ? cb(null, null) : cb(err);
+          }
+          var refresh = encoding.refreshAhead ? shouldRefresh(meta, pttl, encoding.refreshAhead) : undefined;
+          cb(null, readEntry(value, meta, options, refresh));
+        });
+      });
+    });
+  };
+
+  /**
+   * Set a value for a given key.
+   * @method set
+   * @param {String} key - The cache key
+   * @param {String} value - The value to set
+   * @param {Object} [options] - The options (optional)
+   * @param {Object} options.ttl - The ttl value
+   * @param {Number} options.staleTtl - The time in seconds the entry is kept stale after its ttl, stale entries are
+   *            only returned on demand, see get
+   * @param {Number} options.delta - The time in milliseconds the value took to compute, stored with refresh-ahead
+   * @param {boolean|Object} options.compress - compression configuration
+   * @param {String|Object} options.serializer - serializer overriding the store one
+   * @param {Array} options.tags - tags of the entry, see invalidateTags
+   * @param {Number} options.commandTimeout - command timeout overriding the store one
+   * @param {Number} options.acquireTimeout - acquire timeout overriding the store one
+   * @param {AbortSignal} options.signal - signal cancelling the operation, which then fails with an AbortError
+   * @param {Function} [cb] - A callback that returns a potential error, otherwise null
+   * @returns {Promise}
+   */
+  self.set = function(key, value, options, cb) {
+    options = options || {};
+    if (typeof options === 'function') {
+      cb = options;
+      options = {};
+    }
+    return new Promise(function(resolve, reject) {
+      var op = instrument('set', [key], options, cb || ((err, result) => err ? reject(err) : resolve(result)),
+        () => stats.increment('sets'));
+      if (op.failure) {
+        return op.done(op.failure);
+      }
+      if (op.open) {
+        return op.done(null);
+      }
+      key = op.ctx.keys[0];
+      cb = afterWrite([key], op.done, 'set');
+
+      if (!self.isCacheableValue(value)) {
+        return cb(new errors.NotCacheableError('value cannot be ' + value, { key: key, value: value }));
+      }
+
+      var ttl = getTtl(options);
+      var encoding = getEncoding(options);
+
+      connect(function(err, conn) {
+        if (err) {
+          return cb(err);
+        }
+
+        encodeValue(value, encoding, function(eErr, val) {
+          if (eErr) {
+            release(conn);
+            return cb(eErr);
+          }
+
+          var entry = toEntry(val, ttl, encoding, options.delta);
+          stats.increment('bytesOut', Buffer.byteLength(entry.value));
+          writeEntry(conn, key, entry, options.tags || [], handleResponse(conn, cb));
+        });
+      }, { guard: op.guard });
+    });
+  };
+
+  /**
+   * Helper to write an entry, replacing its tags. An entry set without tags loses the ones it had.
+   * @private
+   * @param {Object} conn - The Redis connection
+   * @param {String} key - The cache key
+   * @param {Object} entry - The entry, see toEntry
+   * @param {Array} tags - The tags of the entry
+   * @param {Function} cb - A callback that returns a potential error and the reply
+   */
+  function writeEntry(conn, key, entry, tags, cb) {
+    if (tags.length) {
+      var keys = [prefixKey(key), entryTagsKey(key)].concat(tags.map(tagKey));
+      return scripts.run(conn, scripts.setTagged, keys, [entry.value, entry.ttl || 0], cb);
+    }
+
+    var multi = conn.multi();
+    if (entry.ttl) {
+      multi.setex(prefixKey(key), entry.ttl, entry.value);
+    } else {
+      multi.set(prefixKey(key), entry.value);
+    }
+    multi.del(entryTagsKey(key));
+    multi.exec((err, replies) => cb(err, replies && replies[0]));
+  }
+
+  /**
+   * Get values for the given keys.
+   * @method mget
+   * @param {...String|Array} keys - The cache keys, or an array of keys
+   * @param {Object} [options] - The options (optional)
+   * @param {boolean|Object} options.compress - compression configuration
+   * @param {String|Object} options.serializer - serializer overriding the store one
+   * @param {boolean} options.allowStale - return stale values instead of null
+   * @param {boolean} options.metadata - return values as { value, stale } objects, including stale ones
+   * @param {String} options.onDecodeError - decode error policy overriding the store one
+   * @param {Function} [cb] - A callback that returns a potential error and an array of values, null for missing keys
+   * @returns {Promise}
+   */
+  self.mget = function() {
+    var keys = Array.prototype.slice.call(arguments);
+    var cb = (typeof keys[keys.length - 1] === 'function') ? keys.pop() : null;
+    var last = keys[keys.length - 1];
+    var isOptions = last && typeof last === 'object' && !Array.isArray(last) && !Buffer.isBuffer(last);
+    var options = isOptions ? keys.pop() : {};
+    if (keys.length === 1 && Array.isArray(keys[0])) {
+      keys = keys[0].slice();
+    }
+
+    return new Promise(function(resolve, reject) {
+      var op = instrument('mget', keys, options, cb || ((err, result) => err ? reject(err) : resolve(result)),
+        results => countLookups(op.ctx.keys, results));
+      if (op.failure) {
+        return op.done(op.failure);
+      }
+      cb = op.done;
+      keys = op.ctx.keys;
+
+      if (op.open) {
+        return cb(null, keys.map(() => null));
+      }
+      if (!keys.length) {
+        return cb(null, []);
+      }
+
+      var encoding = getEncoding(options);
+      var redisKeys;
+
+      try {
+        redisKeys = toBufferKeys(keys);
+      } catch (e) {
+        return cb(errors.wrap(errors.CacheError, e));
+      }
+
+      connectRead(function(err, conn) {
+        if (err) {
+          return cb(err);
+        }
+
+        conn.mget(redisKeys, handleResponse(conn, function(err, results) {
+          if (err) {
+            return cb(err);
+          }
+          countBytesIn(results);
+          decodeValues(keys, results, encoding, options, cb);
+        }));
+      }, op.guard);
+    });
+  };
+
+  /**
+   * Set values for the given keys.
+   * @method mset
+   * @param {...*} keyValues - The cache keys and values, alternated (key1, value1, key2, value2, ...)
+   * @param {Object} [options] - The options (optional)
+   * @param {Object} options.ttl - The ttl value
+   * @param {Number} options.staleTtl - The time in seconds the entry is kept stale after its ttl, stale entries are
+   *            only returned on demand, see get
+   * @param {boolean|Object} options.compress - compression configuration
+   * @param {String|Object} options.serializer - serializer overriding the store one
+   * @param {Function} [cb] - A callback that returns a potential error, otherwise null
+   * @returns {Promise}
+   */
+  self.mset = function() {
+    var keyValues = Array.prototype.slice.call(arguments);
+    var cb = (typeof keyValues[keyValues.length - 1] === 'function') ? keyValues.pop() : null;
+    var options = (keyValues.length % 2) ? keyValues.pop() || {} : {};
+
+    return new Promise(function(resolve, reject) {
+      var op = instrument('mset', keyValues.filter((k, i) => i % 2 === 0), options,
+        cb || ((err, result) => err ? reject(err) : resolve(result)), () => stats.increment('sets', keys.length));
+      if (op.failure) {
+        return op.done(op.failure);
+      }
+      if (op.open) {
+        return op.done(null);
+      }
+      var keys = op.ctx.keys;
+      keys.forEach((key, i) => keyValues[i * 2] = key);
+      cb = afterWrite(keys, op.done, 'set');
+
+      var ttl = getTtl(options);
+      var encoding = getEncoding(options);
+      var values = [];
+
+      for (var i = 1; i < keyValues.length; i += 2) {
+        if (!self.isCacheableValue(keyValues[i])) {
+          return cb(new errors.NotCacheableError('value cannot be ' + keyValues[i],
+            { key: keyValues[i - 1], value: keyValues[i] }));
+        }
+        values.push(keyValues[i]);
+      }
+
+      if (!values.length) {
+        return cb(null);
+      }
+
+      connect(function(err, conn) {
+        if (err) {
+          return cb(err);
+        }
+
+        var multi = conn.multi();
+        var pending = values.length;
+        var failed = false;
+
+        values.forEach(function(value, i) {
+          encodeValue(value, encoding, function(eErr, val) {
+            if (failed) {
+              return;
+            }
+            if (eErr) {
+              failed = true;
+              release(conn);
+              return cb(eErr);
+            }
+
+            var entry = toEntry(val, ttl, encoding);
+            stats.increment('bytesOut', Buffer.byteLength(entry.value));
+            if (entry.ttl) {
+              multi.setex(prefixKey(keyValues[i * 2]), entry.ttl, entry.value);
+            } else {
+              multi.set(prefixKey(keyValues[i * 2]), entry.value);
+            }
+            // the entries lose their tags, see writeEntry
+            multi.del(entryTagsKey(keyValues[i * 2]));
+
+            if (--pending === 0) {
+              multi.exec(handleResponse(conn, err => cb(err)));
+            }
+          });
+        });
+      }, { guard: op.guard });
+    });
+  };
+
+  /**
+   * Delete value of a given key
+   * @method del
+   * @param {String|Array} key - The cache key or array of keys to delete
    * @param {Object} [options] - The options (optional)
-   * @param {boolean|Object} options.compress - compression configuration
-   * @param {Function} cb - A callback that returns a potential error and the response
+   * @param {Number} options.commandTimeout - command timeout overriding the store one
+   * @param {Number} options.acquireTimeout - acquire timeout overriding the store one
+   * @param {AbortSignal} options.signal - signal cancelling the operation, which then fails with an AbortError
+   * @param {Function} [cb] - A callback that returns a potential error, otherwise null
    * @returns {Promise}
    */
-  self.get = function(key, options, cb) {
-    return new Promise(function(resolve, reject) {
+  self.del = function(key, options, cb) {
+    return new Promise((resolve, reject) => {
+      cb = cb || ((err) => err ? reject(err) : resolve('OK'));
+
       if (typeof options === 'function') {
         cb = options;
         options = {};
       }
-      options = options || {};
-      options.parse = true;
+      var op = instrument('del', [].concat(key), options || {}, cb, deleted => stats.increment('deletes', deleted));
+      if (op.failure) {
+        return op.done(op.failure);
+      }
+      if (op.open) {
+        return op.done(null);
+      }
+      var keys = op.ctx.keys;
+      cb = afterWrite(keys, op.done, 'del');
+
+      connect(function(err, conn) {
+        if (err) {
+          return cb(err);
+        }
 
-      cb = cb ? cb : (err, result) => err ? reject(err) : resolve(result);
+        // the sets of the entry tags are deleted along with the entries
+        var multi = conn.multi();
+        for (var i = 0, l = keys.length; i < l; ++i) {
+          multi.del(prefixKey(keys[i]));
+          multi.del(entryTagsKey(keys[i]));
+        }
+        // the deleted keys are counted from the replies
+        multi.exec(handleResponse(conn, function(err, replies) {
+          cb(err, replies && replies.filter((reply, index) => index % 2 === 0).reduce((a, b) => a + b, 0));
+        }));
+      }, { guard: op.guard });
+    });
+  };
 
-      var compress = (options.compress || options.compress === false) ? options.compress : redisOptions.compress;
-      if (compress) {
-        options.compress = (compress === true) ? compressDefault : compress;
-        key = new Buffer(key);
+  /**
+   * Delete all the keys of the currently selected DB, or only the keys of the namespace if a prefix or a reset
+   * pattern is set. Keys are then deleted by batches and a `resetProgress` event is emitted after each batch.
+   * @method reset
+   * @param {Function} [cb] - A callback that returns a potential error, otherwise null
+   * @returns {Promise}
+   */
+  self.reset = function(cb) {
+    return new Promise((resolve, reject) => {
+      var op = instrument('reset', [], {}, cb || (err => err ? reject(err) : resolve('OK')));
+      if (op.failure) {
+        return op.done(op.failure);
       }
-
+      cb = afterWrite(null, op.done, 'reset');
       connect(function(err, conn) {
         if (err) {
           return cb(err);
         }
 
-        conn.get(key, handleResponse(conn, cb, options));
-      });
+        var pattern = getResetPattern();
+        if (!pattern) {
+          return conn.flushdb(handleResponse(conn, cb));
+        }
+
+        var batchSize = Number(redisOptions.resetBatchSize) || 100;
+        deleteMatching(conn, pattern, batchSize, function (deleted) {
+          self.events.emit('resetProgress', { pattern: pattern, deleted: deleted });
+        }, err => handleResponse(conn, cb)(err, 'OK'));
+      }, { guard: op.guard });
     });
   };
 
   /**
-   * Set a value for a given key.
-   * @method set
-   * @param {String} key - The cache key
-   * @param {String} value - The value to set
+   * Delete the keys matching a pattern. Keys are scanned and deleted by batches, using UNLINK where available.
+   * @method delPattern
+   * @param {String} pattern - The pattern used to match keys
    * @param {Object} [options] - The options (optional)
-   * @param {Object} options.ttl - The ttl value
-   * @param {boolean|Object} options.compress - compression configuration
-   * @param {Function} [cb] - A callback that returns a potential error, otherwise null
+   * @param {number} [options.batchSize] - The number of keys scanned and deleted per batch (default: 100)
+   * @param {boolean} [options.dryRun] - Do not delete anything, return the matching keys instead
+   * @param {Function} [cb] - A callback that returns a potential error and the number of deleted keys,
+   *            or the matching keys in dry-run mode
    * @returns {Promise}
    */
-  self.set = function(key, value, options, cb) {
-    options = options || {};
+  self.delPattern = function(pattern, options, cb) {
     if (typeof options === 'function') {
       cb = options;
       options = {};
     }
-    return new Promise(function(resolve, reject) {
-      cb = cb || ((err, result) => err ? reject(err) : resolve(result));
+    options = options || {};
 
-      if (!self.isCacheableValue(value)) {
-        return cb(new Error('value cannot be ' + value));
-      }
+    return new Promise((resolve, reject) => {
+      cb = cb || ((err, res) => err ? reject(err) : resolve(res));
 
-      var ttl = (options.ttl || options.ttl === 0) ? options.ttl : redisOptions.ttl;
-      var compress = (options.compress || options.compress === false) ? options.compress : redisOptions.compress;
-      if (compress === true) {
-        compress = compressDefault;
+      var batchSize = Number(options.batchSize) || 100;
+      if (options.dryRun) {
+        return self.keys(pattern, { scanCount: batchSize }, cb);
+      }
+      var op = instrument('delPattern', [pattern], options, cb, deleted => stats.increment('deletes', deleted));
+      if (op.failure) {
+        return op.done(op.failure);
       }
+      pattern = op.ctx.keys[0];
+      var keys = [];
+      cb = afterWrite(keys, op.done, 'del');
 
       connect(function(err, conn) {
         if (err) {
           return cb(err);
         }
-        var val = JSON.stringify(value) || '"undefined"';
 
-        // Refactored to remove duplicate code.
-        function persist(pErr, pVal) {
-          if (pErr) {
-            return cb(pErr);
-          }
+        deleteMatching(conn, prefixPattern(pattern), batchSize, function(deleted, batch) {
+          batch.forEach(key => keys.push(unprefixKey(key)));
+        }, function(err, deleted) {
+          handleResponse(conn, cb)(err, deleted);
+        });
+      }, { guard: op.guard });
+    });
+  };
 
-          if (ttl) {
-            conn.setex(key, ttl, pVal, handleResponse(conn, cb));
-          } else {
-            conn.set(key, pVal, handleResponse(conn, cb));
-          }
-        }
+  /**
+   * Delete every entry set with one of the given tags
+   * @method invalidateTags
+   * @param {String|Array} tags - The tag or array of tags to invalidate
+   * @param {Function} [cb] - A callback that returns a potential error and the number of deleted entries
+   * @returns {Promise}
+   */
+  self.invalidateTags = function(tags, cb) {
+    tags = [].concat(tags);
+
+    return new Promise((resolve, reject) => {
+      cb = cb || ((err, res) => err ? reject(err) : resolve(res));
+
+      if (!tags.length) {
+        return cb(null, 0);
+      }
+      var op = instrument('invalidateTags', tags, {}, cb, deleted => stats.increment('deletes', deleted));
+      if (op.failure) {
+        return op.done(op.failure);
+      }
+      tags = op.ctx.keys;
+      var keys = [];
+      cb = afterWrite(keys, op.done, 'del');
 
-        if (compress) {
-          zlib.gzip(val, compress.params || {}, persist);
-        } else {
-          persist(null, val);
+      connect(function(err, conn) {
+        if (err) {
+          return cb(err);
         }
-      });
+        runOnTags(conn, scripts.invalidateTags, tags.map(tagKey), handleResponse(conn, function(err, deleted) {
+          (deleted || []).forEach(key => keys.push(unprefixKey(key)));
+          cb(err, deleted && deleted.length);
+        }));
+      }, { guard: op.guard });
     });
   };
 
   /**
-   * Delete value of a given key
-   * @method del
-   * @param {String|Array} key - The cache key or array of keys to delete
-   * @param {Object} [options] - The options (optional)
-   * @param {Function} [cb] - A callback that returns a potential error, otherwise null
+   * Remove the keys of expired or deleted entries from tag sets. Tag sets otherwise keep them
+   * until they expire with their longest living entry or the tag is invalidated.
+   * @method pruneTags
+   * @param {String|Array} [tags] - The tag or array of tags to prune (default: every tag)
+   * @param {Function} [cb] - A callback that returns a potential error and the number of removed keys
    * @returns {Promise}
    */
-  self.del = function(key, options, cb) {
+  self.pruneTags = function(tags, cb) {
+    if (typeof tags === 'function') {
+      cb = tags;
+      tags = null;
+    }
+
     return new Promise((resolve, reject) => {
-      cb = cb || ((err) => err ? reject(err) : resolve('OK'));
+      cb = cb || ((err, res) => err ? reject(err) : resolve(res));
 
-      if (typeof options === 'function') {
-        cb = options;
-        options = {};
+      var op = instrument('pruneTags', tags ? [].concat(tags) : [], {}, cb);
+      if (op.failure) {
+        return op.done(op.failure);
       }
+      // the hooks see no tags when every tag set is pruned
+      tags = tags && op.ctx.keys;
+      cb = op.done;
 
       connect(function(err, conn) {
         if (err) {
           return cb(err);
         }
 
-        if (Array.isArray(key)) {
-          var multi = conn.multi();
-          for (var i = 0, l = key.length; i < l; ++i) {
-            multi.del(key[i]);
-          }
-          multi.exec(handleResponse(conn, cb));
-        }
-        else {
-          conn.del(key, handleResponse(conn, cb));
+        if (tags) {
+          return runOnTags(conn, scripts.pruneTags, [].concat(tags).map(tagKey), handleResponse(conn, cb));
         }
-      });
+
+        // tag sets are pruned one at a time, as they may not share a hash slot in cluster mode
+        var pruned = 0;
+        scan(conn, prefixPattern(escapeGlob(getTagPrefix()) + '*'), {}, function (keys, next) {
+          (function pruneNext(i) {
+            if (i >= keys.length) {
+              return next();
+            }
+            runOnTags(conn, scripts.pruneTags, [keys[i]], function (err, count) {
+              pruned += count;
+              return err ? next(err) : pruneNext(i + 1);
+            });
+          })(0);
+        }, err => handleResponse(conn, cb)(err, pruned));
+      }, { guard: op.guard });
     });
   };
 
   /**
-   * Delete all the keys of the currently selected DB
-   * @method reset
-   * @param {Function} [cb] - A callback that returns a potential error, otherwise null
+   * Get a value, computing it with the loader on a miss. A short lock makes a single process run the loader of a key
+   * at once, the others poll the cache until the value is set, or the lock is released and one of them takes it.
+   * Stale values, see set, are returned at once while a single process refreshes them in the background, errors of
+   * these refreshes are emitted as 'refreshError' events with the key. With refresh-ahead, values are also refreshed
+   * in the background by a random caller shortly before they expire.
+   * @method getOrSet
+   * @param {String} key - The cache key
+   * @param {Function} loader - Computes the value, calling back with a potential error and the value, or
+   *            returning a Promise
+   * @param {Object} [options] - The options (optional), also passed to get, set and the lock commands
+   * @param {Number} options.lockTtl - The lock ttl, in milliseconds, longer than the loader takes (default: 10000)
+   * @param {Number} options.waitTimeout - The time waiting for another process to set the value, in milliseconds
+   *            (default: lockTtl)
+   * @param {Number} options.pollInterval - The time between reads while waiting, in milliseconds (default: 50)
+   * @param {String} options.fallback - What to do when the wait times out: 'load' runs the loader without the
+   *            lock (default), 'error' fails
+   * @param {Function} [cb] - A callback that returns a potential error and the value
    * @returns {Promise}
    */
-  self.reset = function(cb) {
+  self.getOrSet = function(key, loader, options, cb) {
+    if (typeof options === 'function') {
+      cb = options;
+      options = {};
+    }
+    options = options || {};
+
     return new Promise((resolve, reject) => {
-      cb = cb || (err => err ? reject(err) : resolve('OK'));
-      connect(function(err, conn) {
-        if (err) {
-          return cb(err);
+      cb = cb || ((err, res) => err ? reject(err) : resolve(res));
+
+      var lockTtl = Number(options.lockTtl) || 10000;
+      var deadline = Date.now() + (Number(options.waitTimeout) || lockTtl);
+      var readOptions = Object.assign({}, options, { metadata: true });
+
+      (function attempt() {
+        self.get(key, readOptions, function(err, result) {
+          if (err || result !== null) {
+            cb(err, result && result.value);
+            return result && (result.stale || result.refresh) && refreshInBackground(key, loader, options, lockTtl);
+          }
+          // the lock can't be taken while Redis is down
+          if (isCircuitOpen()) {
+            return load(key, loader, options, cb);
+          }
+
+          locker.acquire(lockKey(key), lockTtl, Object.assign({}, options, { retryCount: 0 }), function(err, lock) {
+            // another operation is probing Redis
+            if (err instanceof errors.CircuitOpenError) {
+              return load(key, loader, options, cb);
+            }
+            if (err || lock) {
+              return err ? cb(err) : loadLocked(key, loader, options, lock.token, cb);
+            }
+            if (Date.now() < deadline) {
+              return setTimeout(attempt, Number(options.pollInterval) || 50);
+            }
+            if (options.fallback === 'error') {
+              return cb(new errors.LockError('timed out waiting for the lock of ' + key, { key: key }));
+            }
+            load(key, loader, options, cb);
+          });
+        });
+      })();
+    });
+  };
+
+  /**
+   * Alias of getOrSet
+   * @method wrap
+   */
+  self.wrap = self.getOrSet;
+
+  /**
+   * Acquire a distributed lock on a resource, retrying with a random delay while another process holds it.
+   * The lock handle exposes its token and expiration timestamp, an extend(ttl, [cb]) method setting a new ttl and
+   * a release([cb]) method, both returning a Promise. They fail to extend or release a lock which expired and was
+   * acquired by another process.
+   * @method lock
+   * @param {String} resource - The locked resource name
+   * @param {Number} ttl - The lock ttl, in milliseconds
+   * @param {Object} [options] - The options (optional)
+   * @param {Number} options.retryCount - The number of retries (default: 10)
+   * @param {Number} options.retryDelay - The time between retries, in milliseconds (default: 200)
+   * @param {Number} options.retryJitter - The maximum random time added to the retry delay, in milliseconds
+   *            (default: 100)
+   * @param {Number} options.commandTimeout - command timeout of the lock commands overriding the store one
+   * @param {Number} options.acquireTimeout - acquire timeout of the lock commands overriding the store one
+   * @param {AbortSignal} options.signal - signal cancelling the lock commands, the lock then failing with an
+   *            AbortError
+   * @param {Function} [cb] - A callback that returns a potential error and the lock handle
+   * @returns {Promise}
+   */
+  self.lock = function(resource, ttl, options, cb) {
+    if (typeof options === 'function') {
+      cb = options;
+      options = {};
+    }
+    options = options || {};
+
+    return new Promise((resolve, reject) => {
+      cb = cb || ((err, res) => err ? reject(err) : resolve(res));
+
+      var key = lockKey(resource);
+      locker.acquire(key, ttl, options, function(err, acquired) {
+        if (err || !acquired) {
+          return cb(err || new errors.LockError('unable to acquire the lock of ' + resource, { key: resource }));
         }
-        conn.flushdb(handleResponse(conn, cb));
+        cb(null, lockHandle(resource, key, acquired));
       });
     });
   };
@@ -325,13 +2330,18 @@ function redisStore(args = {}) {
    */
   self.ttl = function(key, cb) {
     return new Promise((resolve, reject) => {
-      cb = cb || ((err, res) => err ? reject(err) : resolve(res));
-      connect(function(err, conn) {
+      var op = instrument('ttl', [key], {}, cb || ((err, res) => err ? reject(err) : resolve(res)));
+      if (op.failure) {
+        return op.done(op.failure);
+      }
+      cb = op.done;
+      key = op.ctx.keys[0];
+      connectRead(function(err, conn) {
         if (err) {
           return cb(err);
         }
-        conn.ttl(key, handleResponse(conn, cb));
-      });
+        conn.ttl(prefixKey(key), handleResponse(conn, cb));
+      }, op.guard);
     });
   };
 
@@ -341,6 +2351,10 @@ function redisStore(args = {}) {
    * @param {String} [pattern] - The pattern used to match keys (default: *)
    * @param {Object} [options] - The options (default: {})
    * @param {number} [options.scanCount] - The number of keys to traverse with each call to SCAN (default: 100)
+   * @param {String} [options.type] - Only return keys of this Redis type (Redis >= 6)
+   * @param {Number} [options.commandTimeout] - The command timeout overriding the store one
+   * @param {Number} [options.acquireTimeout] - The acquire timeout overriding the store one
+   * @param {AbortSignal} [options.signal] - A signal cancelling the operation, which then fails with an AbortError
    * @param {Function} cb - A callback that returns a potential error and the response
    * @returns {Promise}
    */
@@ -367,40 +2381,287 @@ function redisStore(args = {}) {
     }
 
     return new Promise((resolve, reject) => {
-      cb = cb || ((err, res) => err ? reject(err) : resolve(res));
-      connect(function(err, conn) {
+      var op = instrument('keys', [pattern], options, cb || ((err, res) => err ? reject(err) : resolve(res)));
+      if (op.failure) {
+        return op.done(op.failure);
+      }
+      cb = op.done;
+      pattern = op.ctx.keys[0];
+      connectRead(function(err, conn) {
         if (err) {
           return cb(err);
         }
 
         // Use an object to dedupe as scan can return duplicates
         var keysObj = {};
-        var scanCount = Number(options.scanCount) || 100;
 
-        (function nextBatch(cursorId) {
-          conn.scan(cursorId, 'match', pattern, 'count', scanCount, function (err, result) {
-            if (err) {
-              handleResponse(conn, cb)(err);
-            }
+        scan(conn, prefixPattern(pattern), options, function (keys, next) {
+          for (var i = 0, l = keys.length; i < l; ++i) {
+            keysObj[unprefixKey(keys[i])] = 1;
+          }
+          next();
+        }, function (err) {
+          handleResponse(conn, cb)(err, Object.keys(keysObj));
+        });
+      }, op.guard);
+    });
+  };
+
+  /**
+   * Iterates over the keys matching pattern using the SCAN command, one batch of keys per SCAN page, without
+   * buffering every key in memory. The connection is held until the iteration ends, and released when it is
+   * stopped early (break out of a for await loop, or a call to return), once the SCAN in flight is answered.
+   * @method scanIterator
+   * @param {String} [pattern] - The pattern used to match keys (default: *)
+   * @param {Object} [options] - The options (default: {})
+   * @param {number} [options.scanCount] - The number of keys to traverse with each call to SCAN (default: 100)
+   * @param {String} [options.type] - Only return keys of this Redis type (Redis >= 6)
+   * @param {boolean} [options.dedupe] - Dedupe keys across batches, which keeps every returned key in memory.
+   *            Batches are always deduped. (default: false)
+   * @returns {Object} an async iterator of arrays of keys
+   */
+  self.scanIterator = function(pattern, options) {
+    if (typeof pattern === 'object') {
+      options = pattern;
+      pattern = '*';
+    }
+    pattern = pattern || '*';
+    options = options || {};
 
-            var nextCursorId = result[0];
-            var keys = result[1];
+    var seen = {};
+    var conn = null;
+    var started = false;
+    var finished = false;
+    var waiting = null;
+    var resume = null;
+    var scanning = false;
+    var stopped = [];
 
-            for (var i = 0, l = keys.length; i < l; ++i) {
-              keysObj[keys[i]] = 1;
-            }
+    function settle(err, result) {
+      var w = waiting;
+      waiting = null;
+      return w && (err ? w.reject(err) : w.resolve(result));
+    }
 
-            if (nextCursorId !== '0') {
-              return nextBatch(nextCursorId);
-            }
+    function finish() {
+      var next = resume;
 
-            handleResponse(conn, cb)(null, Object.keys(keysObj));
-          });
-        })(0);
+      finished = true;
+      resume = null;
+      if (conn) {
+        release(conn);
+        conn = null;
+      }
+      // end a paused scan, so the connections held on cluster nodes are released
+      if (next) {
+        next(new Error('scan stopped'));
+      }
+      stopped.splice(0).forEach(fn => fn());
+    }
+
+    function onKeys(keys, next) {
+      var batch = {};
+      for (var i = 0, l = keys.length; i < l; ++i) {
+        if (!seen[keys[i]]) {
+          batch[keys[i]] = 1;
+        }
+        if (options.dedupe) {
+          seen[keys[i]] = 1;
+        }
+      }
+
+      keys = Object.keys(batch).map(unprefixKey);
+      if (finished) {
+        return next(new Error('scan stopped'));
+      }
+      if (!keys.length) {
+        return next();
+      }
+
+      scanning = false;
+      resume = next;
+      settle(null, { value: keys, done: false });
+    }
+
+    function start() {
+      started = true;
+      connectRead(function(err, c) {
+        if (err || finished) {
+          finished = true;
+          return err ? settle(err) : release(c);
+        }
+
+        conn = c;
+        scanning = true;
+        scan(conn, prefixPattern(pattern), options, onKeys, function (err) {
+          scanning = false;
+          finish();
+          settle(err, { value: undefined, done: true });
+        });
       });
+    }
+
+    var iterator = {
+      next: function() {
+        return new Promise(function(resolve, reject) {
+          if (finished) {
+            return resolve({ value: undefined, done: true });
+          }
+
+          waiting = { resolve: resolve, reject: reject };
+          if (resume) {
+            var next = resume;
+            resume = null;
+            scanning = true;
+            return next();
+          }
+          if (!started) {
+            start();
+          }
+        });
+      },
+      return: function() {
+        settle(null, { value: undefined, done: true });
+        if (scanning) {
+          // the connection is released once the SCAN in flight is answered, see onKeys
+          finished = true;
+          return new Promise(resolve => stopped.push(resolve)).then(() => ({ value: undefined, done: true }));
+        }
+        finish();
+        return Promise.resolve({ value: undefined, done: true });
+      }
+    };
+
+    if (Symbol.asyncIterator) {
+      iterator[Symbol.asyncIterator] = function() {
+        return iterator;
+      };
+    }
+
+    return iterator;
+  };
+
+  /**
+   * Streams the keys matching pattern using the SCAN command, see scanIterator. The connection is released
+   * when the stream ends or is destroyed.
+   * @method keysStream
+   * @param {String} [pattern] - The pattern used to match keys (default: *)
+   * @param {Object} [options] - The scanIterator options (default: {})
+   * @returns {Readable} an object mode stream of arrays of keys
+   */
+  self.keysStream = function(pattern, options) {
+    var iterator = self.scanIterator(pattern, options);
+
+    return new Readable({
+      objectMode: true,
+      read: function() {
+        iterator.next().then(result => this.push(result.done ? null : result.value), err => this.destroy(err));
+      },
+      destroy: function(err, cb) {
+        iterator.return().then(() => cb(err));
+      }
+    });
+  };
+
+  /**
+   * Add a hook instrumenting the operations (get, set, mget, mset, del, reset, delPattern, invalidateTags, pruneTags,
+   * ttl and keys). Its before method is called with the operation context, { operation, keys, options, startTime },
+   * keys being the cache keys, or the patterns or tags of the operation. It may replace them to rewrite keys, and fail
+   * the operation by throwing. Its after method is called with the same context, completed with the duration in
+   * milliseconds, the error and the result. Errors thrown by after methods are emitted as 'hookError' events with
+   * the context. Hooks are called in the order they were added.
+   * @method use
+   * @param {Object} hook - The hook, with before and after methods (both optional)
+   * @returns {Function} a function removing the hook
+   */
+  self.use = function(hook) {
+    hooks.push(hook);
+    return function() {
+      var index = hooks.indexOf(hook);
+      if (index !== -1) {
+        hooks.splice(index, 1);
+      }
+    };
+  };
+
+  /**
+   * Get the state of the circuit breaker, see circuitBreaker
+   * @method getCircuitState
+   * @returns {String} 'closed', 'open' or 'half-open', always 'closed' without circuit breaker
+   */
+  self.getCircuitState = function() {
+    return breaker ? breaker.getState() : 'closed';
+  };
+
+  /**
+   * Get the statistics of the store: hits and misses of get and mget (l1Hits being served by the in-process cache),
+   * sets, deletes, failed commands (errors), retried attempts (retries), bytes read (bytesIn) and written
+   * (bytesOut), the hit ratio and the compression ratio (null until known), and the latency histograms of the
+   * commands, by command name. Commands are also emitted as 'command' events ({ command, duration, error }), and
+   * reads as 'hit' and 'miss' events with the key.
+   * @method getStats
+   * @returns {Object} the statistics
+   */
+  self.getStats = function() {
+    return stats.get();
+  };
+
+  /**
+   * Reset the statistics of the store
+   * @method resetStats
+   */
+  self.resetStats = function() {
+    stats.reset();
+  };
+
+  /**
+   * Get the statistics of the store in the Prometheus text exposition format
+   * @method getMetrics
+   * @param {String} [prefix] - The metric names prefix (default: 'cache_manager_redis')
+   * @returns {String} the metrics
+   */
+  self.getMetrics = function(prefix) {
+    return stats.toPrometheus(prefix);
+  };
+
+  /**
+   * Subscribe to the notifications of the stores publishing on the notifications channel, with a dedicated
+   * connection. Notifications are { type, keys } objects, type being 'set', 'del', 'reset', or 'expired' for the
+   * keyspace notifications of expired keys, and keys the cache keys, null for resets. They are emitted as
+   * 'notification' events and as events named after their type.
+   * @method subscribe
+   * @param {Function} [handler] - Called with each notification (optional)
+   * @param {Function} [cb] - A callback that returns a potential error once subscribed
+   * @returns {Promise}
+   */
+  self.subscribe = function(handler, cb) {
+    return new Promise((resolve, reject) => {
+      cb = cb || (err => err ? reject(err) : resolve());
+
+      if (handler) {
+        self.events.on('notification', handler);
+      }
+      notifications.start(cb);
     });
   };
 
+  /**
+   * Remove a notification handler, or every handler, closing the subscriber connection once none is left
+   * @method unsubscribe
+   * @param {Function} [handler] - The handler (optional)
+   */
+  self.unsubscribe = function(handler) {
+    if (handler) {
+      self.events.removeListener('notification', handler);
+    } else {
+      self.events.removeAllListeners('notification');
+    }
+
+    if (!self.events.listenerCount('notification')) {
+      notifications.stop();
+    }
+  };
+
   /**
    * Specify which values should and should not be cached.
    * If the function returns true, it will be stored in cache.
@@ -431,7 +2692,7 @@ function redisStore(args = {}) {
           client: conn,
           done: function(done) {
             var args = Array.prototype.slice.call(arguments, 1);
-            pool.release(conn);
+            release(conn);
 
             if (done && typeof done === 'function') {
               done.apply(null, args);
@@ -448,11 +2709,36 @@ function redisStore(args = {}) {
    */
   self._pool = pool;
 
+  /**
+   * Expose the replica pool and the sentinel client for testing purposes
+   * @private
+   */
+  self._readPool = readPool;
+  self._sentinel = sentinel;
+
+  /**
+   * Expose the in-process cache and its invalidation for testing purposes
+   * @private
+   */
+  self._l1 = l1;
+  self._invalidation = invalidation;
+
   return self;
 }
 
 module.exports = {
   create: function(args) {
     return redisStore(args);
-  }
+  },
+  serializers: serializers,
+  CacheError: errors.CacheError,
+  NotCacheableError: errors.NotCacheableError,
+  EncodeError: errors.EncodeError,
+  DecodeError: errors.DecodeError,
+  ConnectionError: errors.ConnectionError,
+  CommandError: errors.CommandError,
+  TimeoutError: errors.TimeoutError,
+  AbortError: errors.AbortError,
+  CircuitOpenError: errors.CircuitOpenError,
+  LockError: errors.LockError
 };
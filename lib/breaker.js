@@ -0,0 +1,111 @@
+'use strict';
+
+var EventEmitter = require('events').EventEmitter;
+
+/**
+ * Circuit breaker. The circuit opens after a number of failures within a window, short-circuiting the operations
+ * for a cooldown, then half-opens to let one operation probe the server: the circuit closes when the probe succeeds,
+ * and opens again when it fails. A probe that does not complete within the cooldown is replaced by another one.
+ * Emits `state` (state, previous) on changes, the states being 'closed', 'open' and 'half-open'.
+ * @module breaker
+ * @param {Object} [options] - The circuit breaker configuration
+ * @param {Number} [options.threshold] - The number of failures opening the circuit (default: 5)
+ * @param {Number} [options.window] - The time in which the failures are counted, in milliseconds (default: 10000)
+ * @param {Number} [options.cooldown] - The time the circuit stays open, in milliseconds (default: 30000)
+ * @returns {EventEmitter}
+ */
+function createBreaker(options) {
+  options = options || {};
+
+  var self = new EventEmitter();
+  var threshold = options.threshold || 5;
+  var failureWindow = options.window || 10000;
+  var cooldown = options.cooldown || 30000;
+  var state = 'closed';
+  // the failure times within the window
+  var failures = [];
+  var openedAt = 0;
+  var probeAt = null;
+
+  /**
+   * Helper to change the state
+   * @private
+   * @param {String} next - The new state
+   */
+  function transition(next) {
+    var previous = state;
+
+    state = next;
+    failures = [];
+    probeAt = null;
+    if (next === 'open') {
+      openedAt = Date.now();
+    }
+    self.emit('state', next, previous);
+  }
+
+  /**
+   * Whether an operation may run, the first one after the cooldown being the probe
+   * @returns {boolean} true if the operation may run, false if it is short-circuited
+   */
+  self.allow = function() {
+    var now = Date.now();
+
+    if (state === 'open' && now - openedAt >= cooldown) {
+      transition('half-open');
+    }
+    if (state === 'half-open' && (probeAt === null || now - probeAt >= cooldown)) {
+      probeAt = now;
+      return true;
+    }
+    return state === 'closed';
+  };
+
+  /**
+   * Record a successful operation, which closes the circuit when half-open
+   */
+  self.success = function() {
+    if (state === 'half-open') {
+      transition('closed');
+    }
+  };
+
+  /**
+   * Record a failed operation, which opens the circuit when half-open or after too many failures
+   */
+  self.failure = function() {
+    var now = Date.now();
+
+    if (state === 'half-open') {
+      return transition('open');
+    }
+    if (state === 'closed') {
+      failures = failures.filter(time => now - time < failureWindow).concat(now);
+      if (failures.length >= threshold) {
+        transition('open');
+      }
+    }
+  };
+
+  /**
+   * Record an operation which did not reach the server, so another operation can probe it when half-open
+   */
+  self.cancel = function() {
+    if (state === 'half-open') {
+      probeAt = null;
+    }
+  };
+
+  /**
+   * The circuit state
+   * @returns {String} 'closed', 'open' or 'half-open', an open circuit half-opening on the next operation after the
+   *            cooldown
+   */
+  self.getState = function() {
+    return state;
+  };
+
+  return self;
+}
+
+module.exports = createBreaker;
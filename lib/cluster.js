@@ -0,0 +1,508 @@
+'use strict';
+
+var redis = require('redis');
+var EventEmitter = require('events').EventEmitter;
+
+var SLOTS = 16384;
+
+/**
+ * Compute the CRC16 (XMODEM) checksum Redis Cluster uses to map keys to hash slots
+ * @private
+ * @param {Buffer} buf - The data
+ * @returns {Number} the checksum
+ */
+function crc16(buf) {
+  var crc = 0;
+
+  for (var i = 0; i < buf.length; ++i) {
+    crc ^= buf[i] << 8;
+    for (var j = 0; j < 8; ++j) {
+      crc = ((crc & 0x8000) ? (crc << 1) ^ 0x1021 : crc << 1) & 0xffff;
+    }
+  }
+  return crc;
+}
+
+/**
+ * Get the hash slot of a key. Only the hash tag of the key is hashed when it has one, so keys sharing
+ * a hash tag, e.g. {user:1}:profile and {user:1}:settings, are stored in the same slot.
+ * @param {String|Buffer} key - The Redis key
+ * @returns {Number} the hash slot
+ */
+function slotOf(key) {
+  var buf = Buffer.isBuffer(key) ? key : Buffer.from(String(key));
+  var start = buf.indexOf('{');
+
+  if (start !== -1) {
+    var end = buf.indexOf('}', start + 1);
+    if (end > start + 1) {
+      buf = buf.slice(start + 1, end);
+    }
+  }
+  return crc16(buf) % SLOTS;
+}
+
+/**
+ * Helper to parse a MOVED or ASK redirection error, the errors of an aborted transaction included
+ * @private
+ * @param {Error} err - The command error
+ * @returns {Object} the redirection, null if the error is not a redirection
+ */
+function getRedirection(err) {
+  var errors = (err && err.errors) || [err];
+
+  for (var i = 0; i < errors.length; ++i) {
+    var match = errors[i] && /^(MOVED|ASK) (\d+) (\S+)/.exec(errors[i].message);
+    if (match) {
+      return { moved: match[1] === 'MOVED', slot: Number(match[2]), address: match[3] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Helper to turn a host:port address into an object
+ * @private
+ * @param {String} address - The node address
+ * @returns {Object} the node host and port
+ */
+function parseAddress(address) {
+  var i = address.lastIndexOf(':');
+  return { host: address.slice(0, i), port: Number(address.slice(i + 1)) };
+}
+
+/**
+ * Helper to put back in order the results of commands grouped by slot
+ * @private
+ * @param {Array} groups - The slot groups, see groupBySlot
+ * @param {Array} results - The results of each group
+ * @returns {Array} the results, in the order of the keys
+ */
+function reorder(groups, results) {
+  var ordered = [];
+
+  groups.forEach((group, i) => group.indexes.forEach((index, j) => {
+    ordered[index] = results[i][j];
+  }));
+  return ordered;
+}
+
+/**
+ * Redis Cluster client. It maps hash slots to master nodes from the CLUSTER SLOTS command, follows MOVED and ASK
+ * redirections, and runs multi-key commands by groups of keys sharing a slot. It exposes the connection pool
+ * interface the store uses (acquireDb, release, drain), the acquired connection being a client routing each
+ * command to the node serving its keys. Emits `refresh` (masters addresses) when the slots are mapped, and `error`
+ * on discovery errors.
+ * @module cluster
+ * @param {Object} options - The cluster configuration
+ * @param {Array} options.nodes - The addresses of some nodes of the cluster, as { host, port } objects
+ * @param {Object} options.clientOptions - The Redis client options
+ * @param {Function} options.createPool - Creates the connection pool of a node from its { host, port } address
+ * @param {Number} [options.maxRedirections] - The number of redirections followed by a command (default: 16)
+ * @returns {EventEmitter}
+ */
+function createCluster(options) {
+  var self = new EventEmitter();
+  var seeds = options.nodes.map(node => node.host + ':' + node.port);
+  var maxRedirections = options.maxRedirections || 16;
+  var slots = new Array(SLOTS);
+  var pools = {};
+  var loaded = false;
+  var refreshing = false;
+  var waiting = [];
+
+  /**
+   * Helper to get the connection pool of a node, created on first use
+   * @private
+   * @param {String} address - The node address
+   * @returns {Object} the pool
+   */
+  function getPool(address) {
+    if (!pools[address]) {
+      pools[address] = options.createPool(parseAddress(address));
+    }
+    return pools[address];
+  }
+
+  /**
+   * Helper to map the slots to the masters serving them, draining the pools of nodes which are not masters anymore
+   * @private
+   * @param {Array} ranges - The CLUSTER SLOTS reply
+   * @param {String} host - The host of the node which replied, for nodes announced without host
+   */
+  function setSlots(ranges, host) {
+    var masters = {};
+
+    ranges.forEach(function(range) {
+      var address = (range[2][0] || host) + ':' + range[2][1];
+      masters[address] = true;
+      for (var slot = range[0]; slot <= range[1]; ++slot) {
+        slots[slot] = address;
+      }
+    });
+
+    Object.keys(pools).filter(address => !masters[address]).forEach(function(address) {
+      pools[address].drain(() => {});
+      delete pools[address];
+    });
+
+    loaded = true;
+    self.emit('refresh', Object.keys(masters));
+  }
+
+  /**
+   * Ask the known nodes, then the configured ones, how slots are mapped
+   * @param {Function} cb - A callback that returns a potential error
+   */
+  self.refresh = function(cb) {
+    var addresses = Object.keys(pools).concat(seeds.filter(address => !pools[address]));
+    var index = 0;
+
+    (function tryNext(lastErr) {
+      if (index >= addresses.length) {
+        return cb(lastErr || new Error('no cluster node available'));
+      }
+
+      var address = addresses[index++];
+      // fail fast so the next node can be tried
+      var client = redis.createClient(Object.assign({}, options.clientOptions, parseAddress(address), {
+        retry_strategy: () => new Error('cluster node ' + address + ' unreachable')
+      }));
+
+      client.on('error', err => self.emit('error', err));
+      client.send_command('cluster', ['slots'], function(err, ranges) {
+        client.quit();
+        if (err) {
+          return tryNext(err);
+        }
+        setSlots(ranges, parseAddress(address).host);
+        cb(null);
+      });
+    })();
+  };
+
+  /**
+   * Helper to wait for the slots to be mapped
+   * @private
+   * @param {Function} cb - A callback that returns a potential discovery error
+   */
+  function whenReady(cb) {
+    if (loaded) {
+      return cb(null);
+    }
+
+    waiting.push(cb);
+    if (waiting.length === 1) {
+      self.refresh(function(err) {
+        var callbacks = waiting;
+        waiting = [];
+        callbacks.forEach(callback => callback(err));
+      });
+    }
+  }
+
+  /**
+   * Helper to map the slots again after a MOVED redirection, once at a time
+   * @private
+   */
+  function refreshInBackground() {
+    if (refreshing) {
+      return;
+    }
+
+    refreshing = true;
+    self.refresh(function(err) {
+      refreshing = false;
+      if (err) {
+        self.emit('error', err);
+      }
+    });
+  }
+
+  /**
+   * Helper to run commands on the node serving a slot, following redirections
+   * @private
+   * @param {Number} slot - The hash slot
+   * @param {Function} fn - Called with a connection to the node and a callback to call with the commands result
+   * @param {Function} cb - A callback that returns a potential error and the result
+   */
+  function run(slot, fn, cb) {
+    var redirections = 0;
+
+    function attempt(address, asking) {
+      if (!address) {
+        return cb(new Error('no cluster node serving slot ' + slot));
+      }
+
+      var pool = getPool(address);
+      pool.acquireDb(function(err, conn) {
+        if (err) {
+          return cb(err);
+        }
+        if (asking) {
+          conn.send_command('asking', []);
+        }
+
+        fn(conn, function(err, result) {
+          pool.release(conn);
+
+          var redirection = getRedirection(err);
+          if (!redirection) {
+            return cb(err, result);
+          }
+          if (++redirections > maxRedirections) {
+            return cb(new Error('too many cluster redirections, last one was ' + err.message));
+          }
+          if (redirection.moved) {
+            slots[redirection.slot] = redirection.address;
+            refreshInBackground();
+          }
+          attempt(redirection.address, !redirection.moved);
+        });
+      }, 0);
+    }
+
+    whenReady(err => err ? cb(err) : attempt(slots[slot], false));
+  }
+
+  /**
+   * Helper to group keys by hash slot
+   * @private
+   * @param {Array} keys - The Redis keys
+   * @returns {Array} the groups, with the slot, its keys and their indexes
+   */
+  function groupBySlot(keys) {
+    var groups = {};
+
+    keys.forEach(function(key, i) {
+      var slot = slotOf(key);
+      groups[slot] = groups[slot] || { slot: slot, keys: [], indexes: [] };
+      groups[slot].keys.push(key);
+      groups[slot].indexes.push(i);
+    });
+    return Object.keys(groups).map(slot => groups[slot]);
+  }
+
+  /**
+   * Helper to run commands on groups of keys sharing a slot, in parallel
+   * @private
+   * @param {Array} keys - The Redis keys
+   * @param {Function} fn - Called with a connection, the group and a callback to call with the group result
+   * @param {Function} cb - A callback that returns a potential error, the groups and the result of each group
+   */
+  function runGrouped(keys, fn, cb) {
+    var groups = groupBySlot(keys);
+    var results = [];
+    var pending = groups.length;
+    var failed = false;
+
+    if (!pending) {
+      return cb(null, groups, results);
+    }
+
+    groups.forEach(function(group, i) {
+      run(group.slot, (conn, done) => fn(conn, group, done), function(err, result) {
+        if (failed) {
+          return;
+        }
+        if (err) {
+          failed = true;
+          return cb(err);
+        }
+
+        results[i] = result;
+        if (--pending === 0) {
+          cb(null, groups, results);
+        }
+      });
+    });
+  }
+
+  /**
+   * Helper to get the addresses of the masters serving slots
+   * @private
+   * @returns {Array} the addresses, empty until the slots are mapped
+   */
+  function getMasterAddresses() {
+    return Object.keys(slots.reduce((addresses, address) => {
+      addresses[address] = true;
+      return addresses;
+    }, {}));
+  }
+
+  /**
+   * Get the masters serving slots
+   * @returns {Array} the masters, as { host, port } objects, empty until the slots are mapped
+   */
+  self.getMasters = function() {
+    return getMasterAddresses().map(parseAddress);
+  };
+
+  /**
+   * Run commands on a connection to each master, one master at a time
+   * @param {Function} fn - Called with a connection to a master and a callback to call once done with it
+   * @param {Function} cb - A callback that returns a potential error
+   */
+  self.eachMaster = function(fn, cb) {
+    whenReady(function(err) {
+      if (err) {
+        return cb(err);
+      }
+
+      var masters = getMasterAddresses();
+
+      (function next(i) {
+        if (i >= masters.length) {
+          return cb(null);
+        }
+
+        var pool = getPool(masters[i]);
+        pool.acquireDb(function(err, conn) {
+          if (err) {
+            return cb(err);
+          }
+          fn(conn, function(err) {
+            pool.release(conn);
+            return err ? cb(err) : next(i + 1);
+          });
+        }, 0);
+      })(0);
+    });
+  };
+
+  /**
+   * Helper to create a command routed by its first argument, the key
+   * @private
+   * @param {String} name - The command name
+   * @returns {Function} the command
+   */
+  function keyCommand(name) {
+    return function() {
+      var args = Array.prototype.slice.call(arguments);
+      var cb = args.pop();
+
+      run(slotOf(args[0]), (conn, done) => conn[name].apply(conn, args.concat(done)), cb);
+    };
+  }
+
+  /**
+   * Helper to create a command deleting keys, run by slot and returning the total number of deleted keys
+   * @private
+   * @param {String} name - The command name
+   * @returns {Function} the command
+   */
+  function deleteCommand(name) {
+    return function(keys, cb) {
+      runGrouped([].concat(keys), (conn, group, done) => conn.send_command(name, group.keys, done),
+        (err, groups, results) => err ? cb(err) : cb(null, results.reduce((total, count) => total + count, 0)));
+    };
+  }
+
+  /**
+   * Helper to create a script command, routed by the first key of the script. The keys of a script
+   * must share a hash slot.
+   * @private
+   * @param {String} name - The command name
+   * @returns {Function} the command
+   */
+  function scriptCommand(name) {
+    return function(args, cb) {
+      var slot = (args[1] > 0) ? slotOf(args[2]) : 0;
+      run(slot, (conn, done) => conn[name](args, done), cb);
+    };
+  }
+
+  /**
+   * Helper to start a transaction. Commands are run in one transaction per hash slot.
+   * @private
+   * @returns {Object} the transaction
+   */
+  function multi() {
+    var commands = [];
+    var transaction = {
+      exec: function(cb) {
+        runGrouped(commands.map(command => command.args[0]), function(conn, group, done) {
+          var slotTransaction = conn.multi();
+          group.indexes.forEach(i => slotTransaction[commands[i].name].apply(slotTransaction, commands[i].args));
+          slotTransaction.exec(done);
+        }, (err, groups, results) => err ? cb(err) : cb(null, reorder(groups, results)));
+      }
+    };
+
+    ['set', 'setex', 'del'].forEach(function(name) {
+      transaction[name] = function() {
+        commands.push({ name: name, args: Array.prototype.slice.call(arguments) });
+        return transaction;
+      };
+    });
+    return transaction;
+  }
+
+  var deletes = { del: deleteCommand('del'), unlink: deleteCommand('unlink') };
+
+  /**
+   * The client routing commands to the nodes, implementing the commands used by the store
+   * @type {Object}
+   */
+  self.client = {
+    get: keyCommand('get'),
+    set: keyCommand('set'),
+    setex: keyCommand('setex'),
+    ttl: keyCommand('ttl'),
+    // messages are broadcast to every node
+    publish: keyCommand('publish'),
+    del: deletes.del,
+    mget: function(keys, cb) {
+      runGrouped(keys, (conn, group, done) => conn.mget(group.keys, done),
+        (err, groups, results) => err ? cb(err) : cb(null, reorder(groups, results)));
+    },
+    multi: multi,
+    evalsha: scriptCommand('evalsha'),
+    eval: scriptCommand('eval'),
+    send_command: function(name, args, cb) {
+      if (deletes.hasOwnProperty(name)) {
+        return deletes[name](args, cb);
+      }
+      run(slotOf(args[0]), (conn, done) => conn.send_command(name, args, done), cb);
+    },
+    flushdb: function(cb) {
+      self.eachMaster((conn, done) => conn.flushdb(done), err => cb(err, err ? undefined : 'OK'));
+    },
+    eachMaster: self.eachMaster
+  };
+
+  /**
+   * Acquire the cluster client, once the slots are mapped
+   * @param {Function} cb - A callback that returns a potential error and the client
+   */
+  self.acquireDb = function(cb) {
+    whenReady(err => err ? cb(err) : cb(null, self.client));
+  };
+
+  /**
+   * Release the cluster client, node connections are released after each command
+   */
+  self.release = function() {};
+
+  /**
+   * Drain the connection pools of every node
+   * @param {Function} [cb] - A callback called once every pool is drained
+   */
+  self.drain = function(cb) {
+    var drained = pools;
+    var addresses = Object.keys(drained);
+    var pending = addresses.length;
+
+    pools = {};
+    loaded = false;
+    if (!pending) {
+      return cb && cb();
+    }
+    addresses.forEach(address => drained[address].drain(() => --pending === 0 && cb && cb()));
+  };
+
+  return self;
+}
+
+module.exports = createCluster;
+module.exports.slotOf = slotOf;
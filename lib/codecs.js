@@ -0,0 +1,165 @@
+'use strict';
+
+var zlib = require('zlib');
+
+/**
+ * Compression codecs. A codec exposes `compress(data, params, cb)` and `decompress(data, params, cb)` methods
+ * following the zlib convenience methods signature, and an `id` byte written as the header of every payload it
+ * compresses so the payload can be decompressed whatever the current compression configuration is.
+ * Ids 0x01 to 0x0f are reserved for the built-in codecs, custom codecs may use ids 0x10 to 0x1e (default 0x10).
+ * @module codecs
+ */
+
+var CUSTOM_ID = 0x10;
+var LAST_CUSTOM_ID = 0x1e;
+var GZIP_MAGIC = 0x1f;
+var GZIP_MAGIC_2 = 0x8b;
+
+var builtins = {
+  gzip: { id: 0x01, compress: zlib.gzip, decompress: zlib.gunzip },
+  deflate: { id: 0x02, compress: zlib.deflate, decompress: zlib.inflate },
+  brotli: { id: 0x03, compress: zlib.brotliCompress, decompress: zlib.brotliDecompress }
+};
+
+var byId = Object.keys(builtins).reduce((ids, type) => {
+  ids[builtins[type].id] = builtins[type];
+  return ids;
+}, {});
+
+/**
+ * Helper to check a custom codec
+ * @private
+ * @param {Object} type - The custom codec
+ * @returns {Object} the codec
+ */
+function resolveCustom(type) {
+  if (typeof type.compress !== 'function' || typeof type.decompress !== 'function') {
+    throw new Error('custom compression must provide compress and decompress functions');
+  }
+
+  var id = (type.id === undefined) ? CUSTOM_ID : type.id;
+  // other ids would collide with the built-in codecs, or not be detected as compressed on read
+  if (!Number.isInteger(id) || id < CUSTOM_ID || id > LAST_CUSTOM_ID) {
+    throw new Error('custom compression id must be between 0x10 and 0x1e, got ' + id);
+  }
+  return {
+    id: id,
+    compress: type.compress,
+    decompress: type.decompress
+  };
+}
+
+/**
+ * Resolve the codec of a compression configuration
+ * @param {Object} config - The compression configuration
+ * @param {String|Object} [config.type] - 'gzip' (default), 'deflate', 'brotli' or a custom codec
+ * @returns {Object} the codec
+ */
+function resolve(config) {
+  var type = config.type || 'gzip';
+
+  if (typeof type === 'object') {
+    return resolveCustom(type);
+  }
+
+  if (!builtins.hasOwnProperty(type)) {
+    throw new Error('unknown compression type ' + type);
+  }
+  if (!builtins[type].compress) {
+    throw new Error(type + ' compression is not supported by this version of Node');
+  }
+  return builtins[type];
+}
+
+/**
+ * Compress a value and prefix it with the codec header byte
+ * @param {String|Buffer} data - The value to compress
+ * @param {Object} config - The compression configuration
+ * @param {Function} cb - A callback that returns a potential error and the compressed payload
+ */
+function compress(data, config, cb) {
+  var codec;
+
+  try {
+    codec = resolve(config);
+  } catch (e) {
+    return cb(e);
+  }
+
+  codec.compress(data, config.params || {}, function(err, result) {
+    if (!err && !Buffer.isBuffer(result)) {
+      err = new Error('compression must call back with a Buffer');
+    }
+    if (err) {
+      return cb(err);
+    }
+    cb(null, Buffer.concat([Buffer.from([codec.id]), result]));
+  });
+}
+
+/**
+ * Helper to find the codec of a compressed payload from its header byte
+ * @private
+ * @param {Number} header - The payload header byte
+ * @param {Object} configured - The codec of the current compression configuration
+ * @returns {Object} the codec, or null for payloads without header
+ */
+function codecOf(header, configured) {
+  var codec = (header === configured.id) ? configured : byId[header];
+
+  if (!codec && header >= CUSTOM_ID && header <= LAST_CUSTOM_ID) {
+    throw new Error('no custom compression configured for payload header ' + header);
+  }
+  if (codec && !codec.decompress) {
+    throw new Error('payload compression is not supported by this version of Node');
+  }
+  return codec || null;
+}
+
+/**
+ * Detect a compressed payload from its header byte, or from the gzip magic bytes for payloads written
+ * by previous versions
+ * @param {Buffer} payload - The payload
+ * @returns {boolean} true if the payload is compressed
+ */
+function isCompressed(payload) {
+  var header = payload[0];
+
+  if (header === GZIP_MAGIC) {
+    return payload[1] === GZIP_MAGIC_2;
+  }
+  return byId.hasOwnProperty(header) || (header >= CUSTOM_ID && header <= LAST_CUSTOM_ID);
+}
+
+/**
+ * Decompress a payload using the codec named by its header byte. The configured codec is used for custom ids,
+ * and payloads without header, written by previous versions, are considered gzipped.
+ * @param {Buffer} payload - The compressed payload
+ * @param {Object} config - The compression configuration
+ * @param {Function} cb - A callback that returns a potential error and the decompressed value
+ */
+function decompress(payload, config, cb) {
+  var configured;
+  var codec;
+
+  try {
+    configured = resolve(config);
+    codec = codecOf(payload[0], configured);
+  } catch (e) {
+    return cb(e);
+  }
+
+  if (!codec) {
+    return builtins.gzip.decompress(payload, {}, cb);
+  }
+
+  var params = (codec === configured) ? config.params || {} : {};
+  codec.decompress(payload.slice(1), params, cb);
+}
+
+module.exports = {
+  resolve: resolve,
+  isCompressed: isCompressed,
+  compress: compress,
+  decompress: decompress
+};
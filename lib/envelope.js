@@ -0,0 +1,55 @@
+'use strict';
+
+/**
+ * Entry envelopes, storing metadata along with a value, such as the time until which an entry with a stale ttl is
+ * fresh. An envelope is made of two magic bytes (0x00 0x45), the length of the metadata JSON as a 16 bits unsigned
+ * integer, the metadata JSON, then the encoded value.
+ * @module envelope
+ */
+
+var MAGIC = 0x00;
+var MAGIC_2 = 0x45;
+var HEADER_SIZE = 4;
+
+/**
+ * Wrap an encoded value in an envelope
+ * @param {String|Buffer} payload - The encoded value
+ * @param {Object} meta - The metadata
+ * @returns {Buffer} the envelope
+ */
+function wrap(payload, meta) {
+  var metaBuffer = Buffer.from(JSON.stringify(meta));
+  var header = Buffer.from([MAGIC, MAGIC_2, 0, 0]);
+
+  header.writeUInt16BE(metaBuffer.length, 2);
+  return Buffer.concat([header, metaBuffer, Buffer.isBuffer(payload) ? payload : Buffer.from(payload)]);
+}
+
+/**
+ * Detect an envelope from its magic bytes
+ * @param {Buffer} data - The value read from Redis
+ * @returns {boolean} true if the value is wrapped in an envelope
+ */
+function isWrapped(data) {
+  return Buffer.isBuffer(data) && data.length >= HEADER_SIZE && data[0] === MAGIC && data[1] === MAGIC_2;
+}
+
+/**
+ * Read the metadata and the encoded value of an envelope
+ * @param {Buffer} data - The envelope
+ * @returns {Object} the metadata, as meta, and the encoded value, as payload
+ */
+function unwrap(data) {
+  var metaEnd = HEADER_SIZE + data.readUInt16BE(2);
+
+  return {
+    meta: JSON.parse(data.slice(HEADER_SIZE, metaEnd).toString()),
+    payload: data.slice(metaEnd)
+  };
+}
+
+module.exports = {
+  wrap: wrap,
+  isWrapped: isWrapped,
+  unwrap: unwrap
+};
@@ -0,0 +1,168 @@
+'use strict';
+
+/**
+ * Errors of the store operations. Each error has a code, the cache key of the failed operation when it is known, and
+ * the underlying error, as cause, when it wraps one.
+ * @module errors
+ */
+
+/**
+ * The base class of the store errors
+ * @param {String} message - The error message
+ * @param {Object} [props] - The error properties: key, cause, and the specific ones
+ */
+class CacheError extends Error {
+  constructor(message, props) {
+    super(message);
+    this.name = 'CacheError';
+    this.code = 'ECACHE';
+    Object.assign(this, props);
+  }
+}
+
+/**
+ * A value can't be cached, see isCacheableValue
+ * @param {String} message - The error message
+ * @param {Object} [props] - The error properties: key, and value, the value
+ */
+class NotCacheableError extends CacheError {
+  constructor(message, props) {
+    super(message, props);
+    this.name = 'NotCacheableError';
+    this.code = 'ENOTCACHEABLE';
+  }
+}
+
+/**
+ * A value can't be serialized or compressed
+ * @param {String} message - The error message
+ * @param {Object} [props] - The error properties: key and cause
+ */
+class EncodeError extends CacheError {
+  constructor(message, props) {
+    super(message, props);
+    this.name = 'EncodeError';
+    this.code = 'EENCODE';
+  }
+}
+
+/**
+ * A value read from Redis can't be decompressed or deserialized
+ * @param {String} message - The error message
+ * @param {Object} [props] - The error properties: key and cause
+ */
+class DecodeError extends CacheError {
+  constructor(message, props) {
+    super(message, props);
+    this.name = 'DecodeError';
+    this.code = 'EDECODE';
+  }
+}
+
+/**
+ * Redis can't be reached, or the connection was lost
+ * @param {String} message - The error message
+ * @param {Object} [props] - The error properties: key and cause
+ */
+class ConnectionError extends CacheError {
+  constructor(message, props) {
+    super(message, props);
+    this.name = 'ConnectionError';
+    this.code = 'ECONNECTION';
+  }
+}
+
+/**
+ * Redis replied to a command with an error
+ * @param {String} message - The error message
+ * @param {Object} [props] - The error properties: key, and cause, the reply error, whose code is the Redis one
+ *            (WRONGTYPE, LOADING, READONLY...)
+ */
+class CommandError extends CacheError {
+  constructor(message, props) {
+    super(message, props);
+    this.name = 'CommandError';
+    this.code = 'ECOMMAND';
+  }
+}
+
+/**
+ * An operation did not complete in time
+ * @param {String} message - The error message
+ * @param {Object} [props] - The error properties: key, timeout, in milliseconds, and phase, 'acquire' when
+ *            acquiring the connection timed out or 'command' when the command did
+ */
+class TimeoutError extends CacheError {
+  constructor(message, props) {
+    super(message, props);
+    this.name = 'TimeoutError';
+    this.code = 'ETIMEDOUT';
+  }
+}
+
+/**
+ * An operation was cancelled with an abort signal
+ * @param {String} message - The error message
+ * @param {Object} [props] - The error properties: key, and cause, the abort reason of the signal
+ */
+class AbortError extends CacheError {
+  constructor(message, props) {
+    super(message, props);
+    this.name = 'AbortError';
+    this.code = 'ABORT_ERR';
+  }
+}
+
+/**
+ * An operation was short-circuited while the circuit breaker is open
+ * @param {String} message - The error message
+ * @param {Object} [props] - The error properties: key
+ */
+class CircuitOpenError extends CacheError {
+  constructor(message, props) {
+    super(message, props);
+    this.name = 'CircuitOpenError';
+    this.code = 'ECIRCUITOPEN';
+  }
+}
+
+/**
+ * A lock can't be acquired, or is not held anymore
+ * @param {String} message - The error message
+ * @param {Object} [props] - The error properties: key, the locked resource, and cause
+ */
+class LockError extends CacheError {
+  constructor(message, props) {
+    super(message, props);
+    this.name = 'LockError';
+    this.code = 'ELOCK';
+  }
+}
+
+/**
+ * Wrap an underlying error, keeping its message
+ * @param {Function} ErrorClass - The error class
+ * @param {Error} cause - The underlying error
+ * @param {Object} [props] - The error properties
+ * @returns {CacheError} the error, the underlying one if it is already a store error
+ */
+function wrap(ErrorClass, cause, props) {
+  if (cause instanceof CacheError) {
+    return cause;
+  }
+  return new ErrorClass(cause.message, Object.assign({ cause: cause }, props));
+}
+
+module.exports = {
+  CacheError: CacheError,
+  NotCacheableError: NotCacheableError,
+  EncodeError: EncodeError,
+  DecodeError: DecodeError,
+  ConnectionError: ConnectionError,
+  CommandError: CommandError,
+  TimeoutError: TimeoutError,
+  AbortError: AbortError,
+  CircuitOpenError: CircuitOpenError,
+  LockError: LockError,
+  wrap: wrap
+};
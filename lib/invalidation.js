@@ -0,0 +1,226 @@
+'use strict';
+
+var redis = require('redis');
+var EventEmitter = require('events').EventEmitter;
+
+// the channel of Redis client-side caching invalidation messages
+var TRACKING_CHANNEL = '__redis__:invalidate';
+
+/**
+ * Invalidation messages keeping in-process caches coherent. With Redis 6 client-side caching, a connection enables
+ * CLIENT TRACKING in broadcast mode, redirecting invalidation messages to a connection subscribed to the tracking
+ * channel. Older servers fall back to a pub/sub channel the stores publish the keys they write to.
+ * Emits `invalidate` (keys, or null for every key) on messages, and when the connections are lost as messages may
+ * be missed, `ready` once the messages are received, and `error` on connection errors.
+ * @module invalidation
+ * @param {Object} options - The invalidation configuration
+ * @param {Function} options.clientOptions - Returns the Redis client options, or null while the server is unknown
+ * @param {String} [options.mode] - 'tracking', 'pubsub' or 'auto' to use tracking where available (default: 'auto')
+ * @param {String} options.channel - The pub/sub channel
+ * @param {String} [options.prefix] - The prefix of the tracked keys (optional)
+ * @param {Number} [options.retryDelay] - The time before reconnecting, in milliseconds (default: 1000)
+ * @returns {EventEmitter}
+ */
+function createInvalidation(options) {
+  var self = new EventEmitter();
+  var mode = options.mode || 'auto';
+  var subscriber = null;
+  var publisher = null;
+  var ready = false;
+  var stopped = true;
+  var retryTimer = null;
+
+  /**
+   * Helper to create a connection, which is not reconnected so the tracking can be enabled again
+   * @private
+   * @param {Object} clientOptions - The Redis client options
+   * @returns {Object} the Redis client
+   */
+  function createClient(clientOptions) {
+    var client = redis.createClient(Object.assign({}, clientOptions, {
+      retry_strategy: () => new Error('invalidation connection lost')
+    }));
+
+    client.on('error', err => self.emit('error', err));
+    client.on('end', lost);
+    return client;
+  }
+
+  /**
+   * Helper to close the connections
+   * @private
+   */
+  function close() {
+    ready = false;
+    clearTimeout(retryTimer);
+    [subscriber, publisher].forEach(function(client) {
+      if (client) {
+        client.removeListener('end', lost);
+        client.end(true);
+      }
+    });
+    subscriber = publisher = null;
+  }
+
+  /**
+   * Helper to invalidate every key once the connections are lost, then to reconnect
+   * @private
+   */
+  function lost() {
+    if (!subscriber) {
+      return;
+    }
+    close();
+    self.emit('invalidate', null);
+
+    if (!stopped) {
+      retryTimer = setTimeout(connect, options.retryDelay || 1000);
+    }
+  }
+
+  /**
+   * Helper to enable the tracking of the keys, redirecting the invalidation messages to the subscriber
+   * @private
+   * @param {Function} cb - A callback that returns a potential error
+   */
+  function track(cb) {
+    subscriber.send_command('client', ['id'], function(err, id) {
+      if (err) {
+        return cb(err);
+      }
+
+      var args = ['tracking', 'on', 'redirect', id, 'bcast'].concat(options.prefix ? ['prefix', options.prefix] : []);
+      publisher.send_command('client', args, function(err) {
+        return err ? cb(err) : subscriber.subscribe(TRACKING_CHANNEL, err => cb(err));
+      });
+    });
+  }
+
+  /**
+   * Helper to subscribe to the pub/sub channel
+   * @private
+   * @param {Function} cb - A callback that returns a potential error
+   */
+  function subscribe(cb) {
+    subscriber.subscribe(options.channel, err => cb(err));
+  }
+
+  /**
+   * Helper to emit the keys of an invalidation message
+   * @private
+   * @param {String} channel - The channel
+   * @param {String|Array} message - The message, the keys of tracking messages or the JSON keys of pub/sub ones
+   */
+  function onMessage(channel, message) {
+    if (channel === TRACKING_CHANNEL) {
+      // flushes are sent as null
+      return self.emit('invalidate', message ? [].concat(message) : null);
+    }
+
+    try {
+      self.emit('invalidate', JSON.parse(message));
+    } catch (e) {
+      self.emit('error', e);
+    }
+  }
+
+  /**
+   * Helper to mark the invalidation ready once set up, or to reconnect on errors
+   * @private
+   * @param {Error} err - A potential set up error
+   */
+  function onSetup(err) {
+    if (err) {
+      self.emit('error', err);
+      return lost();
+    }
+    ready = true;
+    self.emit('ready', mode);
+  }
+
+  /**
+   * Helper to connect and set up the invalidation, falling back to pub/sub when the server does not support tracking
+   * @private
+   */
+  function connect() {
+    var clientOptions = options.clientOptions();
+    if (!clientOptions) {
+      return;
+    }
+
+    subscriber = createClient(clientOptions);
+    publisher = createClient(clientOptions);
+    subscriber.on('message', onMessage);
+
+    if (mode === 'pubsub') {
+      return subscribe(onSetup);
+    }
+
+    track(function(err) {
+      if (mode !== 'auto' || (err && err.code !== 'ERR')) {
+        return onSetup(err);
+      }
+      // CLIENT TRACKING is not supported before Redis 6
+      mode = err ? 'pubsub' : 'tracking';
+      return err ? subscribe(onSetup) : onSetup(null);
+    });
+  }
+
+  /**
+   * Start receiving the invalidation messages
+   */
+  self.start = function() {
+    stopped = false;
+    connect();
+  };
+
+  /**
+   * Stop receiving the invalidation messages
+   */
+  self.stop = function() {
+    stopped = true;
+    close();
+  };
+
+  /**
+   * Reconnect, to a new master after a failover
+   */
+  self.restart = function() {
+    close();
+    self.emit('invalidate', null);
+
+    if (!stopped) {
+      connect();
+    }
+  };
+
+  /**
+   * Whether the invalidation messages are received
+   * @returns {boolean} true once set up, until the connections are lost
+   */
+  self.isReady = function() {
+    return ready;
+  };
+
+  /**
+   * The invalidation mode
+   * @returns {String} 'tracking' or 'pubsub', or 'auto' until the server support is known
+   */
+  self.getMode = function() {
+    return mode;
+  };
+
+  /**
+   * Publish the keys written by the store in pub/sub mode, with tracking the server sends them
+   * @param {Array} keys - The keys, or null for every key
+   */
+  self.publish = function(keys) {
+    if (ready && mode === 'pubsub') {
+      publisher.publish(options.channel, JSON.stringify(keys));
+    }
+  };
+
+  return self;
+}
+
+module.exports = createInvalidation;
@@ -0,0 +1,166 @@
+'use strict';
+
+/**
+ * In-process LRU cache of raw values read from Redis, bounded by a number of entries and a number of bytes.
+ * An entry lives until its ttl, capped to its remaining Redis ttl, or until it is invalidated. A read started
+ * before an invalidation of its key can't populate the cache, see begin.
+ * @module l1
+ * @param {Object} [options] - The cache configuration
+ * @param {Number} [options.max] - The maximum number of entries (default: 1000)
+ * @param {Number} [options.maxBytes] - The maximum size of the values, in bytes (default: none)
+ * @param {Number} [options.ttl] - The maximum ttl of the entries, in seconds (default: the Redis ttl)
+ * @returns {Object} the cache
+ */
+function createL1(options) {
+  options = options || {};
+
+  var self = {};
+  var max = options.max || 1000;
+  var maxBytes = options.maxBytes || Infinity;
+  var maxTtl = options.ttl ? options.ttl * 1000 : Infinity;
+  // entries in least recently used order, a Map iterating in insertion order
+  var entries = new Map();
+  var reads = new Map();
+  var bytes = 0;
+
+  /**
+   * Helper to remove an entry
+   * @private
+   * @param {String} key - The entry key
+   */
+  function remove(key) {
+    var entry = entries.get(key);
+    if (entry) {
+      bytes -= entry.size;
+      entries.delete(key);
+    }
+  }
+
+  /**
+   * Helper to evict the least recently used entries until the cache fits its bounds
+   * @private
+   */
+  function evict() {
+    var keys = entries.keys();
+    while (entries.size > max || bytes > maxBytes) {
+      remove(keys.next().value);
+    }
+  }
+
+  /**
+   * Get an entry, moving it to the most recently used end
+   * @param {String} key - The entry key
+   * @returns {Object} the value, copied so callers can't alter it, and the remaining Redis ttl in milliseconds
+   *            (-1 for none), or undefined on a miss
+   */
+  self.get = function(key) {
+    var entry = entries.get(key);
+    var now = Date.now();
+
+    if (!entry || entry.expires <= now) {
+      remove(key);
+      return undefined;
+    }
+    entries.delete(key);
+    entries.set(key, entry);
+
+    return {
+      value: Buffer.isBuffer(entry.value) ? Buffer.from(entry.value) : entry.value,
+      pttl: (entry.redisExpires === Infinity) ? -1 : entry.redisExpires - now
+    };
+  };
+
+  /**
+   * Start a read from Redis
+   * @param {String} key - The entry key
+   * @returns {Object} the read token to pass to set
+   */
+  self.begin = function(key) {
+    var token = {};
+    reads.set(key, token);
+    return token;
+  };
+
+  /**
+   * End a read from Redis which does not cache a value, a miss or a failed read, unless another read of its key
+   * started since
+   * @param {String} key - The entry key
+   * @param {Object} token - The read token, see begin
+   */
+  self.end = function(key, token) {
+    if (reads.get(key) === token) {
+      reads.delete(key);
+    }
+  };
+
+  /**
+   * Cache a value read from Redis, unless its key was invalidated since the read started
+   * @param {String} key - The entry key
+   * @param {String|Buffer} value - The raw value
+   * @param {Number} pttl - The remaining Redis ttl, in milliseconds (-1 for none)
+   * @param {Object} token - The read token, see begin
+   */
+  self.set = function(key, value, pttl, token) {
+    if (reads.get(key) !== token) {
+      return;
+    }
+    reads.delete(key);
+
+    var now = Date.now();
+    var redisExpires = (pttl < 0) ? Infinity : now + pttl;
+    var size = Buffer.byteLength(value);
+
+    remove(key);
+    if (size > maxBytes) {
+      return;
+    }
+    entries.set(key, {
+      value: value,
+      size: size,
+      expires: Math.min(now + maxTtl, redisExpires),
+      redisExpires: redisExpires
+    });
+    bytes += size;
+    evict();
+  };
+
+  /**
+   * Invalidate entries
+   * @param {Array} keys - The entry keys
+   */
+  self.delete = function(keys) {
+    keys.forEach(function(key) {
+      remove(key);
+      reads.delete(key);
+    });
+  };
+
+  /**
+   * Invalidate every entry
+   */
+  self.clear = function() {
+    entries.clear();
+    reads.clear();
+    bytes = 0;
+  };
+
+  /**
+   * The number of entries
+   * @returns {Number} the number of entries
+   */
+  self.size = function() {
+    return entries.size;
+  };
+
+  /**
+   * The number of reads in progress
+   * @returns {Number} the number of reads started and not ended yet
+   */
+  self.pending = function() {
+    return reads.size;
+  };
+
+  return self;
+}
+
+module.exports = createL1;
@@ -0,0 +1,148 @@
+'use strict';
+
+var crypto = require('crypto');
+var scripts = require('./scripts');
+
+/**
+ * Distributed locks. A lock is a key holding a random token, set with SET NX PX on a Redis instance, or on a majority
+ * of independent instances in Redlock mode. Token checked Lua scripts extend and release it, so a process can't
+ * extend or release a lock another process holds.
+ * @module lock
+ * @param {Object} options - The locks configuration
+ * @param {Array} options.instances - The Redis instances, as functions running commands on a connection:
+ *            instance(operation, fn, opts, cb) calls fn(conn, done) and calls back with the result passed to done,
+ *            operation being 'lock', 'extendLock' or 'unlock', and opts the options of the lock operation
+ * @param {Number} [options.driftFactor] - The clock drift, as a factor of the lock ttl (default: 0.01)
+ * @returns {Object} the locker
+ */
+function createLocker(options) {
+  var self = {};
+  var instances = options.instances;
+  var quorum = Math.floor(instances.length / 2) + 1;
+  var driftFactor = options.driftFactor || 0.01;
+
+  /**
+   * Helper to run commands on every instance in parallel
+   * @private
+   * @param {String} operation - The lock operation name
+   * @param {Function} fn - Called with a connection of each instance and a callback to call with the result
+   * @param {Object} opts - The options of the lock operation
+   * @param {Function} cb - A callback that returns a potential error when every instance failed, and the number of
+   *            instances whose result is truthy
+   */
+  function onEveryInstance(operation, fn, opts, cb) {
+    var pending = instances.length;
+    var count = 0;
+    var errors = [];
+
+    instances.forEach(function(instance) {
+      instance(operation, fn, opts, function(err, result) {
+        if (err) {
+          errors.push(err);
+        } else if (result) {
+          count++;
+        }
+
+        if (--pending === 0) {
+          cb(errors.length === instances.length ? errors[0] : null, count);
+        }
+      });
+    });
+  }
+
+  /**
+   * Helper to try to set a lock on a majority of the instances, within its ttl
+   * @private
+   * @param {String} key - The lock key
+   * @param {String} token - The lock token
+   * @param {Number} ttl - The lock ttl, in milliseconds
+   * @param {Object} opts - The acquire options
+   * @param {Function} cb - A callback that returns a potential error and the lock validity in milliseconds,
+   *            0 if the lock is held by another process
+   */
+  function trySet(key, token, ttl, opts, cb) {
+    var start = Date.now();
+
+    onEveryInstance('lock', (conn, done) => conn.set(key, token, 'PX', ttl, 'NX', done), opts, function(err, count) {
+      var validity = ttl - (Date.now() - start) - Math.round(ttl * driftFactor) - 2;
+
+      if (err) {
+        return cb(err, 0);
+      }
+      if (count >= quorum && validity > 0) {
+        return cb(null, validity);
+      }
+      // remove the lock from the instances where it was set
+      self.release(key, token, opts, () => cb(null, 0));
+    });
+  }
+
+  /**
+   * Acquire a lock, retrying with a random delay while another process holds it
+   * @param {String} key - The lock key
+   * @param {Number} ttl - The lock ttl, in milliseconds
+   * @param {Object} [opts] - The options
+   * @param {Number} [opts.retryCount] - The number of retries (default: 10)
+   * @param {Number} [opts.retryDelay] - The time between retries, in milliseconds (default: 200)
+   * @param {Number} [opts.retryJitter] - The maximum random time added to the retry delay, in milliseconds
+   *            (default: 100)
+   * @param {Number} [opts.commandTimeout] - The timeout of the lock commands, see the instances
+   * @param {Number} [opts.acquireTimeout] - The timeout acquiring a connection for the lock commands
+   * @param {AbortSignal} [opts.signal] - A signal cancelling the lock commands
+   * @param {Function} cb - A callback that returns a potential error and the lock, with its token and expiration
+   *            timestamp, or null if another process still holds it
+   */
+  self.acquire = function(key, ttl, opts, cb) {
+    var token = crypto.randomBytes(16).toString('hex');
+    var retries = (opts.retryCount === undefined) ? 10 : opts.retryCount;
+
+    (function attempt() {
+      trySet(key, token, ttl, opts, function(err, validity) {
+        if (err || validity) {
+          return cb(err, validity ? { token: token, expiration: Date.now() + validity } : null);
+        }
+        if (retries-- <= 0) {
+          return cb(null, null);
+        }
+
+        var delay = (opts.retryDelay === undefined) ? 200 : opts.retryDelay;
+        setTimeout(attempt, delay + Math.floor(Math.random() * (opts.retryJitter || 100)));
+      });
+    })();
+  };
+
+  /**
+   * Set a new ttl to a lock, if it is still held on a majority of the instances
+   * @param {String} key - The lock key
+   * @param {String} token - The lock token
+   * @param {Number} ttl - The new lock ttl, in milliseconds
+   * @param {Object} opts - The options of the lock commands, see acquire
+   * @param {Function} cb - A callback that returns a potential error and the new expiration timestamp, 0 if the
+   *            lock is not held anymore
+   */
+  self.extend = function(key, token, ttl, opts, cb) {
+    var start = Date.now();
+
+    onEveryInstance('extendLock', (conn, done) => scripts.run(conn, scripts.extendLock, [key], [token, ttl], done),
+      opts, function(err, count) {
+        var validity = ttl - (Date.now() - start) - Math.round(ttl * driftFactor) - 2;
+        cb(err, (count >= quorum && validity > 0) ? Date.now() + validity : 0);
+      });
+  };
+
+  /**
+   * Release a lock, on every instance where it is still held with the token
+   * @param {String} key - The lock key
+   * @param {String} token - The lock token
+   * @param {Object} opts - The options of the lock commands, see acquire
+   * @param {Function} cb - A callback that returns a potential error and whether the lock was released
+   */
+  self.release = function(key, token, opts, cb) {
+    onEveryInstance('unlock', (conn, done) => scripts.run(conn, scripts.releaseLock, [key], [token], done), opts,
+      (err, count) => cb(err, count > 0));
+  };
+
+  return self;
+}
+
+module.exports = createLocker;
@@ -0,0 +1,203 @@
+'use strict';
+
+var redis = require('redis');
+var EventEmitter = require('events').EventEmitter;
+
+/**
+ * Cache change notifications. Stores publish the keys they set or delete, and resets, as JSON messages on a pub/sub
+ * channel, see encode. A dedicated connection subscribes to the channel, and optionally to the Redis keyspace
+ * notifications of expired keys, which require `notify-keyspace-events` to include `Ex`. Keyspace notifications are
+ * not propagated in Redis Cluster, the expired keys of each master are then subscribed with a connection to it.
+ * Emits `notification` ({ type, keys }, keys being null for resets) and `error` on connection errors.
+ * @module notifications
+ * @param {Object} options - The notifications configuration
+ * @param {Function} options.clientOptions - Returns the Redis client options, or null while the server is unknown
+ * @param {String} options.channel - The pub/sub channel
+ * @param {boolean} [options.expired] - Subscribe to the notifications of expired keys (optional)
+ * @param {Function} [options.expiredClientOptions] - Returns the client options of the nodes whose expired keys are
+ *            subscribed, each one with its own connection, or null to subscribe them with the channel connection
+ *            (optional)
+ * @param {Number} [options.db] - The db of the expired keys (default: 0)
+ * @param {String} [options.prefix] - The key prefix, stripped from the keys of the expired notifications, keys
+ *            without it are ignored (optional)
+ * @returns {EventEmitter}
+ */
+function createNotifications(options) {
+  var self = new EventEmitter();
+  var prefix = options.prefix || '';
+  var expiredChannel = '__keyevent@' + (options.db || 0) + '__:expired';
+  var subscribers = [];
+  // the addresses of the nodes whose expired keys are subscribed, see refresh
+  var nodes = '';
+  var subscribed = false;
+  var active = false;
+  var waiting = [];
+
+  /**
+   * Helper to emit the notification of a message
+   * @private
+   * @param {String} channel - The channel
+   * @param {String} message - The message, a JSON notification or an expired key
+   */
+  function onMessage(channel, message) {
+    if (channel === expiredChannel) {
+      if (message.indexOf(prefix) === 0) {
+        self.emit('notification', { type: 'expired', keys: [message.slice(prefix.length)] });
+      }
+      return;
+    }
+
+    try {
+      self.emit('notification', JSON.parse(message));
+    } catch (e) {
+      self.emit('error', e);
+    }
+  }
+
+  /**
+   * Helper to call back the start calls once subscribed
+   * @private
+   * @param {Error} err - A potential subscription error
+   */
+  function flushWaiting(err) {
+    var callbacks = waiting;
+    waiting = [];
+    callbacks.forEach(cb => cb(err));
+  }
+
+  /**
+   * Helper to get the client options of the nodes whose expired keys are subscribed with their own connection
+   * @private
+   * @returns {Array} the client options, null when expired keys are subscribed with the channel connection
+   */
+  function getExpiredNodes() {
+    return (options.expired && options.expiredClientOptions) ? options.expiredClientOptions() : null;
+  }
+
+  /**
+   * Helper to get the addresses of nodes
+   * @private
+   * @param {Array} clientOptions - The client options of the nodes
+   * @returns {String} the addresses
+   */
+  function getAddresses(clientOptions) {
+    return clientOptions.map(node => node.host + ':' + node.port).join(',');
+  }
+
+  /**
+   * Helper to create a connection subscribing to channels
+   * @private
+   * @param {Object} clientOptions - The Redis client options
+   * @param {Array} channels - The channels
+   * @param {Function} cb - A callback that returns a potential error once subscribed, unless closed in the meantime
+   * @returns {Object} the connection
+   */
+  function subscribe(clientOptions, channels, cb) {
+    var client = redis.createClient(clientOptions);
+    client.on('error', err => self.emit('error', err));
+    client.on('message', onMessage);
+    // the connection is resubscribed when it reconnects
+    client.subscribe(channels, function(err) {
+      return (subscribers.indexOf(client) !== -1) && cb(err);
+    });
+    return client;
+  }
+
+  /**
+   * Helper to connect and subscribe, unless connected or the server is unknown
+   * @private
+   */
+  function connect() {
+    var clientOptions = !subscribers.length && options.clientOptions();
+    if (!clientOptions) {
+      return;
+    }
+
+    var expiredNodes = getExpiredNodes();
+    var channels = [options.channel].concat((options.expired && !expiredNodes) ? [expiredChannel] : []);
+    expiredNodes = expiredNodes || [];
+    var pending = expiredNodes.length + 1;
+
+    function onSubscribed(err) {
+      if (err) {
+        close();
+        return flushWaiting(err);
+      }
+      if (--pending === 0) {
+        subscribed = true;
+        flushWaiting(null);
+      }
+    }
+
+    nodes = getAddresses(expiredNodes);
+    subscribers = [subscribe(clientOptions, channels, onSubscribed)]
+      .concat(expiredNodes.map(node => subscribe(node, [expiredChannel], onSubscribed)));
+  }
+
+  /**
+   * Helper to close the connections
+   * @private
+   */
+  function close() {
+    var clients = subscribers;
+
+    subscribed = false;
+    subscribers = [];
+    clients.forEach(client => client.quit());
+  }
+
+  /**
+   * Subscribe to the notifications, once
+   * @param {Function} cb - A callback that returns a potential error once subscribed
+   */
+  self.start = function(cb) {
+    active = true;
+    if (subscribed) {
+      return cb(null);
+    }
+    waiting.push(cb);
+    connect();
+  };
+
+  /**
+   * Unsubscribe from the notifications and close the connection
+   */
+  self.stop = function() {
+    active = false;
+    close();
+  };
+
+  /**
+   * Subscribe again once started, with a connection to the new master after a failover
+   */
+  self.restart = function() {
+    close();
+    if (active) {
+      connect();
+    }
+  };
+
+  /**
+   * Subscribe again once started, when the nodes whose expired keys are subscribed changed, see
+   * options.expiredClientOptions
+   */
+  self.refresh = function() {
+    if (active && getAddresses(getExpiredNodes() || []) !== nodes) {
+      self.restart();
+    }
+  };
+
+  return self;
+}
+
+/**
+ * Encode a notification
+ * @param {String} type - The notification type: 'set', 'del' or 'reset'
+ * @param {Array} keys - The cache keys, null for resets
+ * @returns {String} the message
+ */
+createNotifications.encode = function(type, keys) {
+  return JSON.stringify({ type: type, keys: keys });
+};
+
+module.exports = createNotifications;
@@ -0,0 +1,75 @@
+'use strict';
+
+// the errors of a server loading its data, of a replica after a failover, and of lost connections
+var CODES = ['LOADING', 'READONLY', 'MASTERDOWN', 'TRYAGAIN', 'CLUSTERDOWN', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE',
+  'UNCERTAIN_STATE', 'NR_CLOSED', 'CONNECTION_BROKEN'];
+var READS = ['get', 'mget', 'ttl', 'keys'];
+// writing the same values or deleting the same keys again has the same effect
+var IDEMPOTENT_WRITES = ['set', 'mset', 'del', 'reset', 'delPattern', 'invalidateTags'];
+
+/**
+ * Retry policy of the operations failing with transient errors, with an exponential backoff. Reads are retried,
+ * and idempotent writes unless disabled, other operations are not.
+ * @module retry
+ * @param {boolean|Object} [options] - The retry configuration, true for the defaults, retries are disabled if falsy
+ * @param {Number} [options.attempts] - The maximum number of attempts, including the first one (default: 3)
+ * @param {Number} [options.delay] - The delay before the first retry, in milliseconds (default: 50)
+ * @param {Number} [options.maxDelay] - The maximum delay between attempts, in milliseconds (default: 2000)
+ * @param {Number} [options.factor] - The factor the delay is multiplied by after each attempt (default: 2)
+ * @param {boolean} [options.jitter] - Randomize the delays between 0 and their value, so clients recovering from
+ *            the same failure do not retry at once (default: true)
+ * @param {Array} [options.codes] - The codes of the retried errors, or of the Redis and connection errors they wrap
+ *            (default: LOADING, READONLY, MASTERDOWN, TRYAGAIN, CLUSTERDOWN, ECONNRESET, ECONNREFUSED, EPIPE,
+ *            UNCERTAIN_STATE, NR_CLOSED, CONNECTION_BROKEN)
+ * @param {boolean} [options.writes] - Retry idempotent writes (default: true)
+ * @returns {Object} the retry policy
+ */
+function createRetryPolicy(options) {
+  var self = {};
+  var enabled = Boolean(options);
+
+  options = Object.assign({
+    attempts: 3,
+    delay: 50,
+    maxDelay: 2000,
+    factor: 2,
+    jitter: true,
+    codes: CODES,
+    writes: true
+  }, options === true ? {} : options);
+
+  /**
+   * Whether a failed attempt of an operation is retried
+   * @param {String} operation - The operation name
+   * @param {Error} err - The error of the attempt
+   * @param {Number} attempt - The number of the attempt, starting at 1
+   * @returns {boolean} true if the operation is attempted again
+   */
+  self.shouldRetry = function(operation, err, attempt) {
+    var retried = READS.indexOf(operation) !== -1 || (options.writes && IDEMPOTENT_WRITES.indexOf(operation) !== -1);
+    var code = err.cause ? err.cause.code : err.code;
+
+    return enabled && retried && attempt < options.attempts && options.codes.indexOf(code) !== -1;
+  };
+
+  /**
+   * The delay before the next attempt
+   * @param {Number} attempt - The number of the failed attempt, starting at 1
+   * @returns {Number} the delay in milliseconds
+   */
+  self.getDelay = function(attempt) {
+    var delay = Math.min(options.delay * Math.pow(options.factor, attempt - 1), options.maxDelay);
+
+    return options.jitter ? Math.round(Math.random() * delay) : delay;
+  };
+
+  return self;
+}
+
+/**
+ * The codes of the errors retried by default
+ * @type {Array}
+ */
+createRetryPolicy.CODES = CODES;
+
+module.exports = createRetryPolicy;
@@ -0,0 +1,170 @@
+'use strict';
+
+var crypto = require('crypto');
+
+/**
+ * Lua scripts run by the store. Each script exposes its source and its SHA1 digest so it can be run
+ * with EVALSHA, falling back to EVAL when the script is not cached by the server yet, see run.
+ * @module scripts
+ */
+
+/**
+ * Helper to build a script from its source lines
+ * @private
+ * @param {Array} lines - The Lua source lines
+ * @returns {Object} the script source and digest
+ */
+function script(lines) {
+  var lua = lines.join('\n');
+  return {
+    lua: lua,
+    sha: crypto.createHash('sha1').update(lua).digest('hex')
+  };
+}
+
+/**
+ * Run a script, sending its source only when the server does not have it cached yet
+ * @param {Object} conn - The Redis connection
+ * @param {Object} script - The script
+ * @param {Array} keys - The Redis keys
+ * @param {Array} args - The script arguments
+ * @param {Function} cb - A callback that returns a potential error and the script result
+ */
+function run(conn, script, keys, args, cb) {
+  var params = [keys.length].concat(keys, args);
+
+  conn.evalsha([script.sha].concat(params), function (err, result) {
+    if (err && /NOSCRIPT/.test(err.message)) {
+      return conn.eval([script.lua].concat(params), cb);
+    }
+    cb(err, result);
+  });
+}
+
+/**
+ * Set a value, replacing the tags of its entry. A tag set expires with its longest living member, the set of the
+ * entry tags with the entry. KEYS[1] is the entry key, KEYS[2] the key of the set of its tags, KEYS[3..n] the tag
+ * set keys, ARGV[1] the value and ARGV[2] the ttl (0 for none).
+ */
+var setTagged = script([
+  'local ttl = tonumber(ARGV[2])',
+  'redis.call("DEL", KEYS[2])',
+  'if ttl > 0 then',
+  '  redis.call("SET", KEYS[1], ARGV[1], "EX", ttl)',
+  'else',
+  '  redis.call("SET", KEYS[1], ARGV[1])',
+  'end',
+  'for i = 3, #KEYS do',
+  '  local existed = redis.call("EXISTS", KEYS[i])',
+  '  redis.call("SADD", KEYS[i], KEYS[1])',
+  '  redis.call("SADD", KEYS[2], KEYS[i])',
+  '  if ttl <= 0 then',
+  '    redis.call("PERSIST", KEYS[i])',
+  '  else',
+  '    local current = redis.call("TTL", KEYS[i])',
+  '    if existed == 0 or (current >= 0 and current < ttl) then',
+  '      redis.call("EXPIRE", KEYS[i], ttl)',
+  '    end',
+  '  end',
+  'end',
+  'if ttl > 0 then',
+  '  redis.call("EXPIRE", KEYS[2], ttl)',
+  'end',
+  'return "OK"'
+]);
+
+/**
+ * Delete the entries of tag sets still tagged with one of them, then the tag sets. KEYS[1..n] are the tag set keys,
+ * KEYS[n+1..] the key of each of their entries followed by the key of the set of its tags, ARGV[1] is n.
+ * Returns the keys of the deleted entries, or -1 if the tag sets have entries missing from KEYS.
+ */
+var invalidateTags = script([
+  'local n = tonumber(ARGV[1])',
+  'local tagsOf = {}',
+  'for i = n + 1, #KEYS, 2 do',
+  '  tagsOf[KEYS[i]] = KEYS[i + 1]',
+  'end',
+  'local entries = redis.call("SUNION", unpack(KEYS, 1, n))',
+  'for i = 1, #entries do',
+  '  if not tagsOf[entries[i]] then',
+  '    return -1',
+  '  end',
+  'end',
+  'local deleted = {}',
+  'for i = 1, #entries do',
+  '  for j = 1, n do',
+  '    if redis.call("SISMEMBER", tagsOf[entries[i]], KEYS[j]) == 1 then',
+  '      if redis.call("DEL", entries[i]) == 1 then',
+  '        deleted[#deleted + 1] = entries[i]',
+  '      end',
+  '      redis.call("DEL", tagsOf[entries[i]])',
+  '      break',
+  '    end',
+  '  end',
+  'end',
+  'redis.call("DEL", unpack(KEYS, 1, n))',
+  'return deleted'
+]);
+
+/**
+ * Remove the entries of tag sets which do not exist anymore, or are not tagged with them anymore. KEYS[1..n] are
+ * the tag set keys, KEYS[n+1..] the key of each of their entries followed by the key of the set of its tags,
+ * ARGV[1] is n. Returns the number of removed entries.
+ */
+var pruneTags = script([
+  'local n = tonumber(ARGV[1])',
+  'local count = 0',
+  'for i = n + 1, #KEYS, 2 do',
+  '  local exists = redis.call("EXISTS", KEYS[i]) == 1',
+  '  for j = 1, n do',
+  '    if not exists or redis.call("SISMEMBER", KEYS[i + 1], KEYS[j]) == 0 then',
+  '      count = count + redis.call("SREM", KEYS[j], KEYS[i])',
+  '    end',
+  '  end',
+  'end',
+  'return count'
+]);
+
+/**
+ * Delete a lock if it is still held with the given token. KEYS[1] is the lock key, ARGV[1] the token.
+ * Returns 1 if the lock was released.
+ */
+var releaseLock = script([
+  'if redis.call("GET", KEYS[1]) == ARGV[1] then',
+  '  return redis.call("DEL", KEYS[1])',
+  'end',
+  'return 0'
+]);
+
+/**
+ * Set a new ttl to a lock if it is still held with the given token. KEYS[1] is the lock key, ARGV[1] the token and
+ * ARGV[2] the ttl in milliseconds. Returns 1 if the lock was extended.
+ */
+var extendLock = script([
+  'if redis.call("GET", KEYS[1]) == ARGV[1] then',
+  '  return redis.call("PEXPIRE", KEYS[1], ARGV[2])',
+  'end',
+  'return 0'
+]);
+
+/**
+ * Get a value along with its remaining ttl. KEYS[1] is the entry key.
+ * Returns the value and the ttl in milliseconds (-1 for none), or nil if the key does not exist.
+ */
+var getWithTtl = script([
+  'local value = redis.call("GET", KEYS[1])',
+  'if not value then',
+  '  return nil',
+  'end',
+  'return { value, redis.call("PTTL", KEYS[1]) }'
+]);
+
+module.exports = {
+  run: run,
+  setTagged: setTagged,
+  invalidateTags: invalidateTags,
+  pruneTags: pruneTags,
+  releaseLock: releaseLock,
+  extendLock: extendLock,
+  getWithTtl: getWithTtl
+};
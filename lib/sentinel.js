@@ -0,0 +1,265 @@
+'use strict';
+
+var redis = require('redis');
+var EventEmitter = require('events').EventEmitter;
+
+/**
+ * Redis Sentinel client, discovering the master and the replicas of a monitored Redis deployment and
+ * watching failovers. Emits `master` (address, previous) when the master is discovered or changes,
+ * `replicas` (addresses) when the healthy replicas are listed, and `error` on sentinel connection errors.
+ * @module sentinel
+ * @param {Object} options - The sentinel configuration
+ * @param {Array} options.sentinels - The sentinels addresses, as { host, port } objects
+ * @param {String} options.name - The name of the monitored master
+ * @param {String} [options.password] - The sentinels password (optional)
+ * @param {boolean} [options.replicas] - Whether the replicas should be listed (optional)
+ * @returns {EventEmitter}
+ */
+function createSentinel(options) {
+  var self = new EventEmitter();
+  var master = null;
+  var replicas = [];
+  var subscriber = null;
+  var restartTimer = null;
+  var stopped = false;
+
+  // Sentinel events changing the healthy replicas of a master
+  var REPLICA_EVENTS = ['+slave', '+sdown', '-sdown', '+convert-to-slave'];
+  // delays between the attempts to watch a sentinel again once the connection is lost, in milliseconds
+  var RESTART_DELAY = 500;
+  var MAX_RESTART_DELAY = 30000;
+
+  /**
+   * Helper to create a connection to a sentinel
+   * @private
+   * @param {Object} sentinel - The sentinel address
+   * @param {Function} [retryStrategy] - The node_redis retry strategy (optional)
+   * @returns {Object} the Redis client
+   */
+  function createClient(sentinel, retryStrategy) {
+    var client = redis.createClient({
+      host: sentinel.host,
+      port: sentinel.port,
+      password: options.password,
+      retry_strategy: retryStrategy
+    });
+
+    client.on('error', err => self.emit('error', err));
+    return client;
+  }
+
+  /**
+   * Helper to send a SENTINEL command to the first sentinel answering it
+   * @private
+   * @param {Array} args - The SENTINEL command arguments
+   * @param {Function} cb - A callback that returns a potential error, the result and the sentinel which answered
+   */
+  function query(args, cb) {
+    var index = 0;
+
+    (function tryNext(lastErr) {
+      if (index >= options.sentinels.length) {
+        return cb(lastErr || new Error('no sentinel available'));
+      }
+
+      var sentinel = options.sentinels[index++];
+      // fail fast so the next sentinel can be tried
+      var client = createClient(sentinel, () => new Error('sentinel ' + sentinel.host + ':' + sentinel.port + ' unreachable'));
+
+      client.send_command('sentinel', args, function(err, result) {
+        client.quit();
+        if (err) {
+          return tryNext(err);
+        }
+        cb(null, result, sentinel);
+      });
+    })();
+  }
+
+  /**
+   * Helper to parse the flat key / value arrays returned by the SENTINEL command
+   * @private
+   * @param {Array} fields - The fields
+   * @returns {Object} the fields as an object
+   */
+  function toObject(fields) {
+    var obj = {};
+    for (var i = 0; i < fields.length; i += 2) {
+      obj[fields[i]] = fields[i + 1];
+    }
+    return obj;
+  }
+
+  /**
+   * Helper to update the master address
+   * @private
+   * @param {Object} address - The master address
+   */
+  function setMaster(address) {
+    if (master && master.host === address.host && master.port === address.port) {
+      return;
+    }
+
+    var previous = master;
+    master = address;
+    self.emit('master', address, previous);
+  }
+
+  /**
+   * Ask the sentinels for the master address
+   * @param {Function} cb - A callback that returns a potential error and the master address
+   */
+  self.refreshMaster = function(cb) {
+    query(['get-master-addr-by-name', options.name], function(err, result, sentinel) {
+      if (!err && !result) {
+        err = new Error('unknown master ' + options.name);
+      }
+      if (err) {
+        return cb(err);
+      }
+
+      setMaster({ host: result[0], port: Number(result[1]) });
+      cb(null, master, sentinel);
+    });
+  };
+
+  /**
+   * Ask the sentinels for the healthy replicas of the master
+   * @param {Function} cb - A callback that returns a potential error and the replicas addresses
+   */
+  self.refreshReplicas = function(cb) {
+    function onReplicas(err, result) {
+      if (err) {
+        return cb(err);
+      }
+
+      replicas = result.map(toObject)
+        .filter(r => !/s_down|o_down|disconnected/.test(r.flags) && r['master-link-status'] === 'ok')
+        .map(r => ({ host: r.ip, port: Number(r.port) }));
+      self.emit('replicas', replicas);
+      cb(null, replicas);
+    }
+
+    query(['replicas', options.name], function(err, result) {
+      // sentinels older than Redis 5 only know the slaves subcommand
+      if (err && /unknown/i.test(err.message)) {
+        return query(['slaves', options.name], onReplicas);
+      }
+      onReplicas(err, result);
+    });
+  };
+
+  /**
+   * Helper to subscribe to the failover events of a sentinel, watching another sentinel
+   * if the connection to this one is lost
+   * @private
+   * @param {Object} sentinel - The sentinel address
+   */
+  function watch(sentinel) {
+    subscriber = createClient(sentinel, opts => opts.attempt > 3 ? new Error('sentinel connection lost') : 500);
+
+    subscriber.on('message', function(channel, message) {
+      var parts = message.split(' ');
+
+      if (channel === '+switch-master' && parts[0] === options.name) {
+        setMaster({ host: parts[3], port: Number(parts[4]) });
+      }
+      if (options.replicas && message.indexOf('@ ' + options.name + ' ') !== -1) {
+        self.refreshReplicas(err => err && self.emit('error', err));
+      }
+    });
+
+    // events may have been missed while reconnecting
+    subscriber.on('ready', () => self.refreshMaster(err => err && self.emit('error', err)));
+    subscriber.on('end', function() {
+      subscriber = null;
+      if (!stopped) {
+        restart(0);
+      }
+    });
+
+    subscriber.subscribe.apply(subscriber, ['+switch-master'].concat(options.replicas ? REPLICA_EVENTS : []));
+  }
+
+  /**
+   * Helper to discover the master, and the replicas if needed, then watch failovers unless stopped meanwhile
+   * @private
+   * @param {Function} cb - A callback that returns a potential error and the master address
+   */
+  function discover(cb) {
+    self.refreshMaster(function(err, address, sentinel) {
+      if (err) {
+        return cb(err);
+      }
+      if (!subscriber && !stopped) {
+        watch(sentinel);
+      }
+      if (!options.replicas) {
+        return cb(null, address);
+      }
+      self.refreshReplicas(err => cb(err, address));
+    });
+  }
+
+  /**
+   * Helper to watch failovers again once the connection to the watched sentinel is lost, with an exponential
+   * backoff until a sentinel answers or the client is stopped
+   * @private
+   * @param {Number} attempt - The number of the failed attempts
+   */
+  function restart(attempt) {
+    var delay = Math.min(RESTART_DELAY * Math.pow(2, attempt), MAX_RESTART_DELAY);
+
+    restartTimer = setTimeout(function() {
+      restartTimer = null;
+      discover(function(err) {
+        if (err) {
+          self.emit('error', err);
+          return stopped || subscriber || restart(attempt + 1);
+        }
+      });
+    }, delay);
+  }
+
+  /**
+   * Discover the master, and the replicas if needed, then watch failovers
+   * @param {Function} cb - A callback that returns a potential error and the master address
+   */
+  self.start = function(cb) {
+    stopped = false;
+    discover(cb);
+  };
+
+  /**
+   * Stop watching failovers
+   */
+  self.stop = function() {
+    stopped = true;
+    clearTimeout(restartTimer);
+    restartTimer = null;
+    if (subscriber) {
+      subscriber.quit();
+      subscriber = null;
+    }
+  };
+
+  /**
+   * Returns the last known master address
+   * @returns {Object} the master address, null if not discovered yet
+   */
+  self.getMaster = function() {
+    return master;
+  };
+
+  /**
+   * Returns the last known healthy replicas addresses
+   * @returns {Array} the replicas addresses
+   */
+  self.getReplicas = function() {
+    return replicas;
+  };
+
+  return self;
+}
+
+module.exports = createSentinel;
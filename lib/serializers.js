@@ -0,0 +1,196 @@
+'use strict';
+
+/* global BigInt */
+
+/**
+ * Built-in value serializers. A serializer is an object exposing a `serialize(value)` method returning
+ * a String or a Buffer, and a `deserialize(data)` method turning the stored String / Buffer back into a value.
+ * Serializers flagged with `buffers: true` are handed Buffers on read, strings otherwise. Serializers flagged with
+ * `binary: true` may output values looking like compressed payloads, which are then only decompressed when
+ * compression is enabled.
+ * @module serializers
+ */
+
+var TYPE_KEY = '$t';
+
+/**
+ * Helper to check an object has an own property
+ * @private
+ * @param {Object} obj - The object
+ * @param {String} key - The property name
+ * @returns {boolean} true if the property is defined on the object itself
+ */
+function hasOwn(obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+/**
+ * Plain JSON, the default serializer
+ * @type {Object}
+ */
+var json = {
+  serialize: function(value) {
+    return JSON.stringify(value) || '"undefined"';
+  },
+  deserialize: function(data) {
+    return JSON.parse(data);
+  }
+};
+
+/**
+ * Helper to tag a value with its type so it can be revived by the typed serializer
+ * @private
+ * @param {String} type - The type name
+ * @param {*} [value] - The JSON compatible representation of the value (optional)
+ * @returns {Object} the tagged value
+ */
+function tag(type, value) {
+  var tagged = {};
+  tagged[TYPE_KEY] = type;
+  if (arguments.length > 1) {
+    tagged.v = value;
+  }
+  return tagged;
+}
+
+/**
+ * The types plain JSON would lose, with the function converting them to a JSON compatible representation
+ * @private
+ */
+var taggers = [
+  { type: 'Date', test: v => v instanceof Date, encode: v => v.toISOString() },
+  { type: 'Buffer', test: v => Buffer.isBuffer(v), encode: v => v.toString('base64') },
+  { type: 'Map', test: v => v instanceof Map, encode: v => Array.from(v) },
+  { type: 'Set', test: v => v instanceof Set, encode: v => Array.from(v) },
+  { type: 'RegExp', test: v => v instanceof RegExp, encode: v => [v.source, v.flags] },
+  { type: 'BigInt', test: v => Object.prototype.toString.call(v) === '[object BigInt]', encode: v => v.toString() },
+  // escape plain objects which would otherwise be mistaken for a tagged value
+  {
+    type: 'Object',
+    test: v => v && typeof v === 'object' && !Array.isArray(v) && hasOwn(v, TYPE_KEY),
+    encode: v => Object.keys(v).map(k => [k, v[k]])
+  }
+];
+
+/**
+ * JSON.stringify replacer tagging the types plain JSON would lose. The original value is read from
+ * the holder object as Date and Buffer are already converted by their toJSON method at this point.
+ * @private
+ * @param {String} key - The property name
+ * @returns {*} the value to stringify
+ */
+function replacer(key) {
+  /* jshint validthis: true */
+  var value = this[key];
+
+  if (value === undefined) {
+    return tag('undefined');
+  }
+
+  for (var i = 0, l = taggers.length; i < l; ++i) {
+    if (taggers[i].test(value)) {
+      return tag(taggers[i].type, taggers[i].encode(value));
+    }
+  }
+
+  return value;
+}
+
+// placeholder of the undefined values while parsing, as JSON.parse deletes the values revived as undefined
+var UNDEFINED = {};
+
+var revivers = {
+  undefined: () => UNDEFINED,
+  Date: v => new Date(v),
+  Buffer: v => Buffer.from(v, 'base64'),
+  Map: v => new Map(v),
+  Set: v => new Set(v),
+  RegExp: v => new RegExp(v[0], v[1]),
+  BigInt: v => BigInt(v),
+  Object: v => v.reduce((obj, entry) => {
+    obj[entry[0]] = entry[1];
+    return obj;
+  }, {})
+};
+
+/**
+ * JSON.parse reviver restoring the values tagged by the replacer. Values are revived from the leaves, so the
+ * undefined placeholders of an array or object are replaced once its items are revived.
+ * @private
+ * @param {String} key - The property name
+ * @param {*} value - The parsed value
+ * @returns {*} the revived value
+ */
+function reviver(key, value) {
+  if (value && typeof value[TYPE_KEY] === 'string' && hasOwn(revivers, value[TYPE_KEY])) {
+    return revivers[value[TYPE_KEY]](value.v);
+  }
+  if (value && typeof value === 'object') {
+    Object.keys(value).forEach(k => value[k] = (value[k] === UNDEFINED) ? undefined : value[k]);
+  }
+  return value;
+}
+
+/**
+ * Type preserving JSON, restores undefined, Date, Buffer, Map, Set, RegExp and BigInt values. Functions and symbols
+ * are dropped from objects like with JSON, and can't be serialized as values.
+ * @type {Object}
+ */
+var typed = {
+  serialize: function(value) {
+    var data = JSON.stringify(value, replacer);
+    if (data === undefined) {
+      throw new TypeError('value of type ' + typeof value + ' cannot be serialized');
+    }
+    return data;
+  },
+  deserialize: function(data) {
+    var value = JSON.parse(data, reviver);
+    return (value === UNDEFINED) ? undefined : value;
+  }
+};
+
+/**
+ * Helper to check a value can be stored as is
+ * @private
+ * @param {*} value - The value to check
+ * @returns {String|Buffer} the value
+ */
+function passThrough(value) {
+  if (typeof value !== 'string' && !Buffer.isBuffer(value)) {
+    throw new TypeError('value must be a string or a Buffer');
+  }
+  return value;
+}
+
+/**
+ * Stores strings and Buffers without any encoding, values are read back as strings
+ * @type {Object}
+ */
+var raw = {
+  binary: true,
+  serialize: passThrough,
+  deserialize: function(data) {
+    return data.toString();
+  }
+};
+
+/**
+ * Stores strings and Buffers without any encoding, values are read back as Buffers
+ * @type {Object}
+ */
+var buffer = {
+  binary: true,
+  buffers: true,
+  serialize: passThrough,
+  deserialize: function(data) {
+    return Buffer.isBuffer(data) ? data : Buffer.from(data);
+  }
+};
+
+module.exports = {
+  json: json,
+  typed: typed,
+  raw: raw,
+  buffer: buffer
+};
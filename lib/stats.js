@@ -0,0 +1,149 @@
+'use strict';
+
+/**
+ * Store statistics: counters of hits, misses, writes, errors, retries and bytes transferred, the compression ratio, and
+ * latency histograms per command, readable as an object or in the Prometheus text exposition format.
+ * @module stats
+ * @param {Object} [options] - The statistics configuration
+ * @param {Array} [options.buckets] - The upper bounds of the latency histogram buckets, in milliseconds
+ * @returns {Object} the statistics
+ */
+function createStats(options) {
+  options = options || {};
+
+  var self = {};
+  var buckets = (options.buckets || createStats.BUCKETS).slice().sort((a, b) => a - b);
+  var counters;
+  var latencies;
+
+  /**
+   * Increment a counter
+   * @param {String} name - The counter name: hits, misses, l1Hits, sets, deletes, errors, retries, bytesIn,
+   *            bytesOut, uncompressedBytes or compressedBytes
+   * @param {Number} [count] - The increment (default: 1)
+   */
+  self.increment = function(name, count) {
+    counters[name] += (count === undefined) ? 1 : count;
+  };
+
+  /**
+   * Record the duration of a command
+   * @param {String} command - The command name
+   * @param {Number} duration - The duration, in milliseconds
+   */
+  self.observe = function(command, duration) {
+    var histogram = latencies[command];
+
+    if (!histogram) {
+      histogram = latencies[command] = { count: 0, sum: 0, buckets: buckets.map(() => 0) };
+    }
+    histogram.count++;
+    histogram.sum += duration;
+    buckets.forEach(function(bound, i) {
+      if (duration <= bound) {
+        histogram.buckets[i]++;
+      }
+    });
+  };
+
+  /**
+   * Read the statistics
+   * @returns {Object} the counters, the hit ratio and the compression ratio (null until known), and the latency
+   *            histograms by command, with their count, sum and cumulative bucket counts by upper bound
+   */
+  self.get = function() {
+    var lookups = counters.hits + counters.misses;
+    var result = Object.assign({}, counters, {
+      hitRatio: lookups ? counters.hits / lookups : null,
+      compressionRatio: counters.compressedBytes ? counters.uncompressedBytes / counters.compressedBytes : null,
+      latency: {}
+    });
+
+    Object.keys(latencies).forEach(function(command) {
+      var histogram = latencies[command];
+      result.latency[command] = {
+        count: histogram.count,
+        sum: histogram.sum,
+        buckets: buckets.reduce((counts, bound, i) => {
+          counts[bound] = histogram.buckets[i];
+          return counts;
+        }, {})
+      };
+    });
+    return result;
+  };
+
+  /**
+   * Format the statistics in the Prometheus text exposition format
+   * @param {String} [prefix] - The metric names prefix (default: 'cache_manager_redis')
+   * @returns {String} the metrics
+   */
+  self.toPrometheus = function(prefix) {
+    prefix = prefix || 'cache_manager_redis';
+
+    var lines = [];
+    var counter = (name, help, value) => lines.push(
+      '# HELP ' + prefix + '_' + name + ' ' + help, '# TYPE ' + prefix + '_' + name + ' counter',
+      prefix + '_' + name + ' ' + value);
+    var stats = self.get();
+
+    counter('hits_total', 'Cache hits.', stats.hits);
+    counter('misses_total', 'Cache misses.', stats.misses);
+    counter('l1_hits_total', 'Cache hits served by the in-process cache.', stats.l1Hits);
+    counter('sets_total', 'Keys set.', stats.sets);
+    counter('deletes_total', 'Keys deleted.', stats.deletes);
+    counter('errors_total', 'Failed commands.', stats.errors);
+    counter('retries_total', 'Retried commands.', stats.retries);
+    counter('read_bytes_total', 'Bytes read from Redis.', stats.bytesIn);
+    counter('written_bytes_total', 'Bytes written to Redis.', stats.bytesOut);
+    counter('uncompressed_bytes_total', 'Size of the compressed values before compression.',
+      stats.uncompressedBytes);
+    counter('compressed_bytes_total', 'Size of the compressed values.', stats.compressedBytes);
+
+    var histogram = prefix + '_command_duration_milliseconds';
+    lines.push('# HELP ' + histogram + ' Duration of the store commands.', '# TYPE ' + histogram + ' histogram');
+    Object.keys(stats.latency).forEach(function(command) {
+      var latency = stats.latency[command];
+      var label = 'command="' + command + '"';
+
+      buckets.forEach(bound => lines.push(histogram + '_bucket{' + label + ',le="' + bound + '"} ' +
+        latency.buckets[bound]));
+      lines.push(histogram + '_bucket{' + label + ',le="+Inf"} ' + latency.count,
+        histogram + '_sum{' + label + '} ' + latency.sum,
+        histogram + '_count{' + label + '} ' + latency.count);
+    });
+
+    return lines.join('\n') + '\n';
+  };
+
+  /**
+   * Reset the statistics
+   */
+  self.reset = function() {
+    counters = {
+      hits: 0,
+      misses: 0,
+      l1Hits: 0,
+      sets: 0,
+      deletes: 0,
+      errors: 0,
+      retries: 0,
+      bytesIn: 0,
+      bytesOut: 0,
+      uncompressedBytes: 0,
+      compressedBytes: 0
+    };
+    latencies = {};
+  };
+
+  self.reset();
+  return self;
+}
+
+/**
+ * The default upper bounds of the latency histogram buckets, in milliseconds
+ * @type {Array}
+ */
+createStats.BUCKETS = [1, 2, 5, 10, 25, 50, 100, 250, 500, 1000, 2500];
+
+module.exports = createStats;
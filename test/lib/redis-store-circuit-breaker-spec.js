@@ -0,0 +1,121 @@
+var config = require('../config.json');
+var redisStore = require('../../index');
+var createBreaker = require('../../lib/breaker');
+var assert = require('assert');
+
+var redisDownCache;
+
+describe('breaker', function () {
+  it('should open after too many failures within the window', function () {
+    var breaker = createBreaker({ threshold: 2, window: 1000 });
+    var states = [];
+    breaker.on('state', (state, previous) => states.push(previous + ' ' + state));
+
+    breaker.failure();
+    assert.equal(breaker.getState(), 'closed');
+    assert.ok(breaker.allow());
+    breaker.failure();
+    assert.equal(breaker.getState(), 'open');
+    assert.ok(!breaker.allow());
+    assert.deepEqual(states, ['closed open']);
+  });
+
+  it('should let a single probe run after the cooldown', function (done) {
+    var breaker = createBreaker({ threshold: 1, cooldown: 20 });
+
+    breaker.failure();
+    setTimeout(function () {
+      assert.ok(breaker.allow());
+      assert.equal(breaker.getState(), 'half-open');
+      assert.ok(!breaker.allow());
+      breaker.failure();
+      assert.equal(breaker.getState(), 'open');
+
+      setTimeout(function () {
+        assert.ok(breaker.allow());
+        breaker.success();
+        assert.equal(breaker.getState(), 'closed');
+        assert.ok(breaker.allow());
+        done();
+      }, 30);
+    }, 30);
+  });
+
+  it('should let another probe run when the probe does not reach the server', function (done) {
+    var breaker = createBreaker({ threshold: 1, cooldown: 20 });
+
+    breaker.failure();
+    setTimeout(function () {
+      assert.ok(breaker.allow());
+      breaker.cancel();
+      assert.equal(breaker.getState(), 'half-open');
+      assert.ok(breaker.allow());
+      done();
+    }, 30);
+  });
+});
+
+describe('Circuit Breaker Tests', function () {
+
+  before(function () {
+    redisDownCache = require('cache-manager').caching({
+      store: redisStore,
+      host: config.redis.host,
+      // nothing listens on this port
+      port: 1,
+      db: config.redis.db,
+      ttl: config.redis.ttl,
+      commandTimeout: 50,
+      circuitBreaker: { threshold: 2, cooldown: 60000 }
+    });
+  });
+
+  it('should fail open once Redis is unreachable', function () {
+    var events = [];
+    redisDownCache.store.events.on('circuit', event => events.push(event));
+
+    return redisDownCache.get('foo')
+      .then(() => assert.fail('the get should time out'), err => assert.equal(err.name, 'TimeoutError'))
+      .then(() => redisDownCache.set('foo', 'bar'))
+      .then(() => assert.fail('the set should time out'), err => assert.equal(err.name, 'TimeoutError'))
+      .then(function () {
+        assert.equal(redisDownCache.store.getCircuitState(), 'open');
+        assert.deepEqual(events, [{ state: 'open', previous: 'closed' }]);
+        return redisDownCache.get('foo');
+      })
+      .then(value => assert.equal(value, null))
+      .then(() => redisDownCache.set('foo', 'bar'))
+      .then(() => redisDownCache.del('foo'))
+      .then(() => redisDownCache.ttl('foo'))
+      .then(() => assert.fail('the ttl should fail fast'), function (err) {
+        assert.ok(err instanceof redisStore.CircuitOpenError);
+        assert.equal(err.code, 'ECIRCUITOPEN');
+      });
+  });
+
+  it('should fail fast to lock while Redis is unreachable', function () {
+    return redisDownCache.store.lock('foo', 1000)
+      .then(() => assert.fail('the lock should fail fast'), err => assert.ok(err instanceof redisStore.CircuitOpenError));
+  });
+
+  it('should compute the values of getOrSet while Redis is unreachable', function () {
+    return redisDownCache.store.getOrSet('foo', () => Promise.resolve('bar'))
+      .then(value => assert.equal(value, 'bar'));
+  });
+
+  it('should not close the circuit with operations which do not reach Redis', function () {
+    var cache = require('cache-manager').caching({
+      store: redisStore,
+      host: config.redis.host,
+      port: 1,
+      commandTimeout: 50,
+      circuitBreaker: { threshold: 1, cooldown: 20 }
+    });
+
+    return cache.get('foo')
+      .then(() => assert.fail('the get should time out'), () => new Promise(resolve => setTimeout(resolve, 30)))
+      .then(() => cache.set('foo', undefined))
+      .then(() => assert.fail('the set should fail'), err => assert.ok(err instanceof redisStore.NotCacheableError))
+      .then(() => assert.equal(cache.store.getCircuitState(), 'half-open'));
+  });
+});
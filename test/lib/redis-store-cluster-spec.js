@@ -0,0 +1,197 @@
+var redisStore = require('../../index');
+var slotOf = require('../../lib/cluster').slotOf;
+var redis = require('redis');
+var assert = require('assert');
+var childProcess = require('child_process');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+// a three masters cluster is started on these ports when redis-server is installed
+var PORTS = [17001, 17002, 17003];
+var SLOTS = 16384;
+
+var processes = [];
+var dir;
+var redisClusterCache;
+
+/**
+ * Send a command to a node
+ */
+function command(port, name, args) {
+  return new Promise((resolve, reject) => {
+    var client = redis.createClient({ port: port, retry_strategy: () => new Error('not started') });
+    client.on('error', () => {});
+    client.send_command(name, args, (err, result) => {
+      client.quit();
+      return err ? reject(err) : resolve(result);
+    });
+  });
+}
+
+/**
+ * Poll a condition until it is met
+ */
+function waitFor(condition, timeout) {
+  var until = Date.now() + (timeout || 10000);
+
+  return (function poll() {
+    return Promise.resolve(condition()).catch(() => false).then(met => {
+      if (met) {
+        return;
+      }
+      if (Date.now() > until) {
+        throw new Error('timed out');
+      }
+      return new Promise(resolve => setTimeout(resolve, 200)).then(poll);
+    });
+  })();
+}
+
+/**
+ * Start the nodes, split the slots between them and wait for the cluster to be up
+ */
+function startCluster() {
+  var perNode = Math.ceil(SLOTS / PORTS.length);
+
+  PORTS.forEach(port => processes.push(childProcess.spawn('redis-server', [
+    '--port', String(port), '--cluster-enabled', 'yes', '--cluster-config-file', 'nodes-' + port + '.conf',
+    '--save', '', '--dir', dir
+  ])));
+
+  return Promise.all(PORTS.map(port => waitFor(() => command(port, 'ping', []))))
+    .then(() => Promise.all(PORTS.map((port, i) => {
+      var slots = [];
+      for (var slot = i * perNode; slot < Math.min((i + 1) * perNode, SLOTS); ++slot) {
+        slots.push(slot);
+      }
+      return command(port, 'cluster', ['addslots'].concat(slots));
+    })))
+    .then(() => Promise.all(PORTS.slice(1).map(port => command(PORTS[0], 'cluster', ['meet', '127.0.0.1', port]))))
+    .then(() => waitFor(() => Promise.all(PORTS.map(port => command(port, 'cluster', ['info'])))
+      .then(infos => infos.every(info => /cluster_state:ok/.test(info))), 30000));
+}
+
+describe('slotOf', function () {
+  it('should compute the hash slot of a key', function () {
+    assert.equal(slotOf('foo'), 12182);
+    assert.equal(slotOf('bar'), 5061);
+    assert.equal(slotOf(Buffer.from('foo')), 12182);
+  });
+
+  it('should only hash the hash tag of a key', function () {
+    assert.equal(slotOf('{user1000}.following'), slotOf('user1000'));
+    assert.equal(slotOf('foo{bar}{zap}'), slotOf('bar'));
+    assert.equal(slotOf('foo{{bar}}zap'), slotOf('{bar'));
+    assert.notEqual(slotOf('foo{}{bar}'), slotOf('bar'));
+  });
+});
+
+describe('Cluster Tests', function () {
+  this.timeout(60000);
+
+  before(function () {
+    if (childProcess.spawnSync('redis-server', ['--version']).error) {
+      return this.skip();
+    }
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-manager-redis-'));
+
+    return startCluster().then(() => {
+      redisClusterCache = require('cache-manager').caching({
+        store: redisStore,
+        cluster: [{ host: '127.0.0.1', port: PORTS[0] }],
+        ttl: 60
+      });
+    });
+  });
+
+  beforeEach(function () {
+    return redisClusterCache.reset();
+  });
+
+  after(function () {
+    processes.forEach(proc => proc.kill());
+  });
+
+  it('should store keys on the node serving their slot', function () {
+    return redisClusterCache.set('foo', 'bar')
+      .then(() => redisClusterCache.set('bar', 'baz'))
+      .then(() => redisClusterCache.get('foo'))
+      .then(result => {
+        assert.equal(result, 'bar');
+        return redisClusterCache.get('bar');
+      })
+      .then(result => assert.equal(result, 'baz'));
+  });
+
+  it('should get and set keys of different slots', function () {
+    return redisClusterCache.store.mset('foo', 1, 'bar', 2, 'baz', 3)
+      .then(() => redisClusterCache.store.mget('foo', 'bar', 'baz', 'qux'))
+      .then(results => assert.deepEqual(results, [1, 2, 3, null]));
+  });
+
+  it('should delete an array of keys of different slots', function () {
+    return redisClusterCache.store.mset('foo', 1, 'bar', 2, 'baz', 3)
+      .then(() => redisClusterCache.del(['foo', 'bar']))
+      .then(() => redisClusterCache.store.mget('foo', 'bar', 'baz'))
+      .then(results => assert.deepEqual(results, [null, null, 3]));
+  });
+
+  it('should return the keys of every master', function () {
+    return redisClusterCache.store.mset('foo', 1, 'bar', 2, 'baz', 3)
+      .then(() => redisClusterCache.keys('*'))
+      .then(keys => assert.deepEqual(keys.sort(), ['bar', 'baz', 'foo']));
+  });
+
+  it('should flush every master on reset', function () {
+    return redisClusterCache.store.mset('foo', 1, 'bar', 2, 'baz', 3)
+      .then(() => redisClusterCache.reset())
+      .then(() => Promise.all(PORTS.map(port => command(port, 'dbsize', []))))
+      .then(sizes => assert.deepEqual(sizes, [0, 0, 0]));
+  });
+
+  it('should notify the expired keys of every master', function () {
+    var subscriber = redisStore.create({
+      cluster: [{ host: '127.0.0.1', port: PORTS[0] }],
+      notifications: { publish: false, expired: true }
+    });
+    var expired = [];
+
+    return Promise.all(PORTS.map(port => command(port, 'config', ['set', 'notify-keyspace-events', 'Ex'])))
+      // map the slots, so the masters are known once subscribing
+      .then(() => subscriber.keys('*'))
+      .then(() => subscriber.subscribe(notification => expired.push(notification.keys[0])))
+      .then(() => redisClusterCache.store.mset('foo', 1, 'bar', 2, 'baz', 3, { ttl: 1 }))
+      .then(() => waitFor(() => expired.length === 3))
+      .then(() => {
+        subscriber.unsubscribe();
+        // foo is not stored on the same master as bar and baz
+        assert.notEqual(slotOf('foo') < SLOTS / PORTS.length, slotOf('bar') < SLOTS / PORTS.length);
+        assert.deepEqual(expired.sort(), ['bar', 'baz', 'foo']);
+      });
+  });
+
+  it('should follow MOVED redirections', function () {
+    var slot = slotOf('foo');
+    var owner;
+
+    return redisClusterCache.set('foo', 'bar')
+      .then(() => redisClusterCache.del('foo'))
+      .then(() => command(PORTS[0], 'cluster', ['nodes']))
+      .then(nodes => {
+        // move the now empty slot to another master, the store still maps it to its previous node
+        var lines = nodes.trim().split('\n').map(line => line.split(' '));
+        var current = lines.find(line => line[8] && line[8].split('-')[0] <= slot && slot <= line[8].split('-')[1]);
+        owner = lines.find(line => line !== current);
+        return Promise.all(PORTS.map(port => command(port, 'cluster', ['setslot', slot, 'node', owner[0]])));
+      })
+      .then(() => redisClusterCache.set('foo', 'baz'))
+      .then(() => redisClusterCache.get('foo'))
+      .then(result => {
+        assert.equal(result, 'baz');
+        return command(Number(owner[1].split(':')[1].split('@')[0]), 'dbsize', []);
+      })
+      .then(size => assert.equal(size, 1));
+  });
+});
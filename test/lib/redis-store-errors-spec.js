@@ -0,0 +1,96 @@
+var config = require('../config.json');
+var redisStore = require('../../index');
+var assert = require('assert');
+
+var redisErrorsCache;
+
+/**
+ * Write a raw value with the Redis client of the store
+ */
+function write(command, args) {
+  return redisErrorsCache.store.getClient().then(redis => new Promise(function (resolve, reject) {
+    redis.client.send_command(command, args, err => redis.done(() => err ? reject(err) : resolve()));
+  }));
+}
+
+describe('Errors Tests', function () {
+
+  before(function () {
+    redisErrorsCache = require('cache-manager').caching({
+      store: redisStore,
+      host: config.redis.host,
+      port: config.redis.port,
+      auth_pass: config.redis.auth_pass,
+      db: config.redis.db,
+      ttl: config.redis.ttl
+    });
+  });
+
+  beforeEach(function () {
+    return redisErrorsCache.reset();
+  });
+
+  it('should return a NotCacheableError for values that cannot be cached', function () {
+    return redisErrorsCache.set('foo', undefined)
+      .then(() => assert.fail('the set should fail'), function (err) {
+        assert.ok(err instanceof redisStore.NotCacheableError);
+        assert.ok(err instanceof redisStore.CacheError);
+        assert.equal(err.code, 'ENOTCACHEABLE');
+        assert.equal(err.key, 'foo');
+        assert.equal(err.message, 'value cannot be undefined');
+      });
+  });
+
+  it('should return a DecodeError for values that cannot be decoded', function () {
+    return write('set', ['foo', '{not json'])
+      .then(() => redisErrorsCache.get('foo'))
+      .then(() => assert.fail('the get should fail'), function (err) {
+        assert.ok(err instanceof redisStore.DecodeError);
+        assert.equal(err.code, 'EDECODE');
+        assert.equal(err.key, 'foo');
+        assert.ok(err.cause instanceof SyntaxError);
+      });
+  });
+
+  it('should tell the key of the value that cannot be decoded by mget', function () {
+    return write('set', ['bar', '{not json'])
+      .then(() => redisErrorsCache.set('foo', 'baz'))
+      .then(() => redisErrorsCache.store.mget('foo', 'bar'))
+      .then(() => assert.fail('the mget should fail'), err => assert.equal(err.key, 'bar'));
+  });
+
+  it('should read values that cannot be decoded as misses with the miss policy', function () {
+    var events = [];
+    redisErrorsCache.store.events.on('decodeError', (err, key) => events.push(key));
+
+    return write('set', ['foo', '{not json'])
+      .then(() => redisErrorsCache.get('foo', { onDecodeError: 'miss' }))
+      .then(value => assert.equal(value, null))
+      .then(() => redisErrorsCache.store.mget('foo', 'bar', { onDecodeError: 'miss' }))
+      .then(function (values) {
+        assert.deepEqual(values, [null, null]);
+        assert.deepEqual(events, ['foo', 'foo']);
+        redisErrorsCache.store.events.removeAllListeners('decodeError');
+      });
+  });
+
+  it('should delete the keys of values that cannot be decoded with the delete policy', function () {
+    return write('set', ['foo', '{not json'])
+      .then(() => redisErrorsCache.get('foo', { onDecodeError: 'delete' }))
+      .then(value => assert.equal(value, null))
+      .then(() => new Promise(resolve => setTimeout(resolve, 50)))
+      .then(() => redisErrorsCache.get('foo'))
+      .then(value => assert.equal(value, null));
+  });
+
+  it('should return a CommandError for Redis errors', function () {
+    return write('rpush', ['foo', 'bar'])
+      .then(() => redisErrorsCache.get('foo'))
+      .then(() => assert.fail('the get should fail'), function (err) {
+        assert.ok(err instanceof redisStore.CommandError);
+        assert.equal(err.code, 'ECOMMAND');
+        assert.equal(err.cause.code, 'WRONGTYPE');
+        assert.equal(err.key, 'foo');
+      });
+  });
+});
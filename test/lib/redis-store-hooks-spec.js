@@ -0,0 +1,132 @@
+var config = require('../config.json');
+var redisStore = require('../../index');
+var assert = require('assert');
+
+var redisHooksCache;
+var contexts;
+
+describe('Hooks Tests', function () {
+
+  before(function () {
+    redisHooksCache = require('cache-manager').caching({
+      store: redisStore,
+      host: config.redis.host,
+      port: config.redis.port,
+      auth_pass: config.redis.auth_pass,
+      db: config.redis.db,
+      ttl: config.redis.ttl,
+      hooks: {
+        before: ctx => contexts.push({ stage: 'before', operation: ctx.operation, keys: ctx.keys }),
+        after: ctx => contexts.push({ stage: 'after', operation: ctx.operation, error: ctx.error, ctx: ctx })
+      }
+    });
+  });
+
+  beforeEach(function () {
+    return redisHooksCache.reset().then(() => {
+      contexts = [];
+    });
+  });
+
+  it('should call the hooks around each operation', function () {
+    return redisHooksCache.set('foo', 'bar')
+      .then(() => redisHooksCache.get('foo'))
+      .then(() => redisHooksCache.ttl('foo'))
+      .then(() => redisHooksCache.keys('f*'))
+      .then(() => redisHooksCache.del('foo'))
+      .then(() => redisHooksCache.reset())
+      .then(() => {
+        assert.deepEqual(contexts.map(c => c.stage + ' ' + c.operation), [
+          'before set', 'after set', 'before get', 'after get', 'before ttl', 'after ttl',
+          'before keys', 'after keys', 'before del', 'after del', 'before reset', 'after reset'
+        ]);
+        assert.deepEqual(contexts[0].keys, ['foo']);
+        assert.deepEqual(contexts[6].keys, ['f*']);
+
+        var get = contexts[3].ctx;
+        assert.equal(get.result, 'bar');
+        assert.equal(get.error, null);
+        assert.ok(get.duration >= 0);
+        assert.ok(get.startTime <= Date.now());
+      });
+  });
+
+  it('should call the hooks around the tag operations', function () {
+    return redisHooksCache.set('foo', 'bar', { tags: ['baz'] })
+      .then(() => redisHooksCache.store.pruneTags('baz'))
+      .then(() => redisHooksCache.store.pruneTags())
+      .then(() => redisHooksCache.store.invalidateTags('baz'))
+      .then(() => {
+        assert.deepEqual(contexts.slice(2).map(c => c.stage + ' ' + c.operation), [
+          'before pruneTags', 'after pruneTags', 'before pruneTags', 'after pruneTags',
+          'before invalidateTags', 'after invalidateTags'
+        ]);
+        assert.deepEqual(contexts[2].keys, ['baz']);
+        assert.deepEqual(contexts[4].keys, []);
+        assert.equal(contexts[3].ctx.result, 0);
+      });
+  });
+
+  it('should pass the errors to the after hooks', function () {
+    return redisHooksCache.set('foo', null)
+      .then(res => assert.fail(res), err => assert.equal(contexts[1].error, err));
+  });
+
+  it('should rewrite keys', function () {
+    var remove = redisHooksCache.store.use({
+      before: ctx => {
+        ctx.keys = ctx.keys.map(key => 'v2:' + key);
+      }
+    });
+
+    return redisHooksCache.set('foo', 'bar')
+      .then(() => redisHooksCache.get('foo'))
+      .then(result => {
+        assert.equal(result, 'bar');
+        remove();
+        return redisHooksCache.get('v2:foo');
+      })
+      .then(result => assert.equal(result, 'bar'));
+  });
+
+  it('should fail operations when a before hook throws', function () {
+    var remove = redisHooksCache.store.use({
+      before: ctx => {
+        if (ctx.operation === 'set') {
+          throw new Error('read only');
+        }
+      }
+    });
+
+    return redisHooksCache.set('foo', 'bar')
+      .then(res => assert.fail(res), err => {
+        remove();
+        assert.equal(err.message, 'read only');
+        return redisHooksCache.get('foo');
+      })
+      .then(result => assert.equal(result, null));
+  });
+
+  it('should emit the errors of the after hooks', function () {
+    var error = new Error('boom');
+    var remove = redisHooksCache.store.use({
+      after: () => {
+        throw error;
+      }
+    });
+    var emitted = new Promise(resolve => {
+      redisHooksCache.store.events.once('hookError', (err, ctx) => resolve([err, ctx]));
+    });
+
+    return redisHooksCache.get('foo')
+      .then(result => {
+        remove();
+        assert.equal(result, null);
+        return emitted;
+      })
+      .then(args => {
+        assert.equal(args[0], error);
+        assert.equal(args[1].operation, 'get');
+      });
+  });
+});
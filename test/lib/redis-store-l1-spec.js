@@ -0,0 +1,177 @@
+var config = require('../config.json');
+var redisStore = require('../../index');
+var createL1 = require('../../lib/l1');
+var redis = require('redis');
+var assert = require('assert');
+
+var redisL1Cache;
+
+/**
+ * Resolve after a delay
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Set a raw value behind the store back
+ */
+function rawSet(key, value) {
+  return new Promise((resolve, reject) => {
+    var client = redis.createClient({ host: config.redis.host, port: config.redis.port, db: config.redis.db });
+    client.set(key, value, err => {
+      client.quit();
+      return err ? reject(err) : resolve();
+    });
+  });
+}
+
+describe('l1', function () {
+  it('should evict the least recently used entries', function () {
+    var l1 = createL1({ max: 2 });
+
+    l1.set('a', 'a', -1, l1.begin('a'));
+    l1.set('b', 'b', -1, l1.begin('b'));
+    l1.get('a');
+    l1.set('c', 'c', -1, l1.begin('c'));
+
+    assert.equal(l1.size(), 2);
+    assert.equal(l1.get('a').value, 'a');
+    assert.equal(l1.get('b'), undefined);
+  });
+
+  it('should evict entries over the size limit', function () {
+    var l1 = createL1({ maxBytes: 4 });
+
+    l1.set('a', 'aa', -1, l1.begin('a'));
+    l1.set('b', 'bb', -1, l1.begin('b'));
+    l1.set('c', 'c', -1, l1.begin('c'));
+    l1.set('d', 'ddddd', -1, l1.begin('d'));
+
+    assert.equal(l1.get('a'), undefined);
+    assert.equal(l1.get('b').value, 'bb');
+    assert.equal(l1.get('d'), undefined);
+  });
+
+  it('should cap the ttl of entries to their Redis ttl', function () {
+    var l1 = createL1({ ttl: 60 });
+
+    l1.set('a', 'a', 50, l1.begin('a'));
+    assert.ok(l1.get('a').pttl <= 50);
+    return wait(60).then(() => assert.equal(l1.get('a'), undefined));
+  });
+
+  it('should not cache values read before an invalidation', function () {
+    var l1 = createL1();
+    var token = l1.begin('a');
+
+    l1.delete(['a']);
+    l1.set('a', 'a', -1, token);
+    assert.equal(l1.get('a'), undefined);
+  });
+
+  it('should end reads which do not cache a value', function () {
+    var l1 = createL1();
+    var first = l1.begin('a');
+    var second = l1.begin('a');
+
+    l1.end('a', first);
+    assert.equal(l1.pending(), 1);
+    l1.end('a', second);
+    assert.equal(l1.pending(), 0);
+  });
+
+  it('should copy cached buffers', function () {
+    var l1 = createL1();
+
+    l1.set('a', Buffer.from('a'), -1, l1.begin('a'));
+    l1.get('a').value[0] = 0;
+    assert.equal(l1.get('a').value.toString(), 'a');
+  });
+});
+
+describe('L1 Tests', function () {
+
+  before(function () {
+    redisL1Cache = require('cache-manager').caching({
+      store: redisStore,
+      host: config.redis.host,
+      port: config.redis.port,
+      auth_pass: config.redis.auth_pass,
+      db: config.redis.db,
+      ttl: config.redis.ttl,
+      l1: { max: 100 }
+    });
+    return new Promise(resolve => redisL1Cache.store._invalidation.once('ready', resolve));
+  });
+
+  beforeEach(function () {
+    return redisL1Cache.reset();
+  });
+
+  it('should serve values from the in-process cache', function () {
+    return redisL1Cache.set('foo', 'bar')
+      .then(() => redisL1Cache.get('foo'))
+      .then(result => {
+        assert.equal(result, 'bar');
+        assert.equal(redisL1Cache.store._l1.size(), 1);
+        return redisL1Cache.get('foo');
+      })
+      .then(result => assert.equal(result, 'bar'));
+  });
+
+  it('should not keep track of reads missing the cache', function () {
+    return redisL1Cache.get('foo')
+      .then(value => {
+        assert.equal(value, null);
+        assert.equal(redisL1Cache.store._l1.pending(), 0);
+      });
+  });
+
+  it('should invalidate the values written by the store', function () {
+    return redisL1Cache.set('foo', 'bar')
+      .then(() => redisL1Cache.get('foo'))
+      .then(() => redisL1Cache.set('foo', 'baz'))
+      .then(() => redisL1Cache.get('foo'))
+      .then(result => {
+        assert.equal(result, 'baz');
+        return redisL1Cache.del('foo');
+      })
+      .then(() => redisL1Cache.get('foo'))
+      .then(result => assert.equal(result, null));
+  });
+
+  it('should invalidate the values written by other clients', function () {
+    if (redisL1Cache.store._invalidation.getMode() !== 'tracking') {
+      return this.skip();
+    }
+
+    return redisL1Cache.set('foo', 'bar')
+      .then(() => redisL1Cache.get('foo'))
+      .then(() => rawSet('foo', '"baz"'))
+      .then(() => wait(100))
+      .then(() => redisL1Cache.get('foo'))
+      .then(result => assert.equal(result, 'baz'));
+  });
+
+  it('should invalidate the values written by other stores', function () {
+    var otherCache = redisStore.create({
+      host: config.redis.host,
+      port: config.redis.port,
+      auth_pass: config.redis.auth_pass,
+      db: config.redis.db,
+      l1: {}
+    });
+
+    return new Promise(resolve => otherCache._invalidation.once('ready', resolve))
+      .then(() => redisL1Cache.set('foo', 'bar'))
+      .then(() => otherCache.get('foo'))
+      .then(() => redisL1Cache.set('foo', 'baz'))
+      .then(() => wait(100))
+      .then(() => otherCache.get('foo'))
+      .then(result => {
+        assert.equal(result, 'baz');
+        otherCache._invalidation.stop();
+      });
+  });
+});
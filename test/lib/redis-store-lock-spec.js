@@ -0,0 +1,118 @@
+var config = require('../config.json');
+var redisStore = require('../../index');
+var assert = require('assert');
+
+var redisLockCache;
+
+describe('Lock Tests', function () {
+
+  before(function () {
+    redisLockCache = require('cache-manager').caching({
+      store: redisStore,
+      host: config.redis.host,
+      port: config.redis.port,
+      auth_pass: config.redis.auth_pass,
+      db: config.redis.db,
+      ttl: config.redis.ttl
+    });
+  });
+
+  beforeEach(function () {
+    return redisLockCache.reset();
+  });
+
+  it('should acquire a lock', function () {
+    return redisLockCache.store.lock('resource', 1000).then(lock => {
+      assert.equal(lock.resource, 'resource');
+      assert.equal(typeof lock.token, 'string');
+      assert.ok(lock.expiration > Date.now());
+      return redisLockCache.store.ttl('lock:resource');
+    }).then(ttl => assert.ok(ttl > 0));
+  });
+
+  it('should accept a callback', function (done) {
+    redisLockCache.store.lock('resource', 1000, function (err, lock) {
+      assert.equal(err, null);
+      lock.release(function (err, released) {
+        assert.equal(err, null);
+        assert.equal(released, true);
+        done();
+      });
+    });
+  });
+
+  it('should fail to acquire a lock held by another process once retries are exhausted', function () {
+    var start;
+
+    return redisLockCache.store.lock('resource', 1000)
+      .then(() => {
+        start = Date.now();
+        return redisLockCache.store.lock('resource', 1000, { retryCount: 2, retryDelay: 50, retryJitter: 10 });
+      })
+      .then(res => assert.fail(res), err => {
+        assert.equal(err.message, 'unable to acquire the lock of resource');
+        assert.ok(Date.now() - start >= 100);
+      });
+  });
+
+  it('should acquire a lock once it is released', function () {
+    return redisLockCache.store.lock('resource', 1000).then(lock => {
+      setTimeout(() => lock.release(), 100);
+      return redisLockCache.store.lock('resource', 1000, { retryDelay: 50 });
+    }).then(lock => assert.ok(lock.token));
+  });
+
+  it('should extend a lock', function () {
+    var lock;
+    var expiration;
+
+    return redisLockCache.store.lock('resource', 1000)
+      .then(l => {
+        lock = l;
+        expiration = lock.expiration;
+        return lock.extend(10000);
+      })
+      .then(extended => {
+        assert.equal(extended, lock);
+        assert.ok(lock.expiration > expiration);
+        return redisLockCache.store.ttl('lock:resource');
+      })
+      .then(ttl => assert.ok(ttl > 1));
+  });
+
+  it('should not extend or release a lock acquired by another process', function () {
+    var lock;
+
+    return redisLockCache.store.lock('resource', 50)
+      .then(l => {
+        lock = l;
+        return new Promise(resolve => setTimeout(resolve, 100));
+      })
+      .then(() => redisLockCache.store.lock('resource', 1000))
+      .then(() => lock.extend(1000))
+      .then(res => assert.fail(res), err => assert.equal(err.message, 'the lock of resource is not held anymore'))
+      .then(() => lock.release())
+      .then(released => {
+        assert.equal(released, false);
+        return redisLockCache.store.ttl('lock:resource');
+      })
+      .then(ttl => assert.ok(ttl > 0));
+  });
+
+  it('should acquire locks on the Redlock servers', function () {
+    var redlockStore = redisStore.create({
+      host: config.redis.host,
+      port: config.redis.port,
+      auth_pass: config.redis.auth_pass,
+      db: config.redis.db,
+      redlock: [{ host: config.redis.host, port: config.redis.port }]
+    });
+
+    return redlockStore.lock('resource', 1000)
+      .then(lock => redlockStore.lock('resource', 1000, { retryCount: 0 }).then(res => assert.fail(res), err => {
+        assert.equal(err.message, 'unable to acquire the lock of resource');
+        return lock.release();
+      }))
+      .then(released => assert.equal(released, true));
+  });
+});
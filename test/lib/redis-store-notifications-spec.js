@@ -0,0 +1,126 @@
+var config = require('../config.json');
+var redisStore = require('../../index');
+var assert = require('assert');
+
+var publisherCache;
+var subscriberCache;
+
+/**
+ * Create a store of the test Redis server
+ */
+function createStore(options) {
+  return redisStore.create(Object.assign({
+    host: config.redis.host,
+    port: config.redis.port,
+    auth_pass: config.redis.auth_pass,
+    db: config.redis.db,
+    ttl: config.redis.ttl
+  }, options));
+}
+
+/**
+ * Collect the notifications received until a notification of the given type
+ */
+function collectUntil(store, type) {
+  var notifications = [];
+
+  return new Promise(resolve => {
+    store.events.on('notification', function handler(notification) {
+      notifications.push(notification);
+      if (notification.type === type) {
+        store.events.removeListener('notification', handler);
+        resolve(notifications);
+      }
+    });
+  });
+}
+
+describe('Notifications Tests', function () {
+
+  before(function () {
+    publisherCache = createStore({ notifications: true });
+    subscriberCache = createStore({ notifications: { publish: false, expired: true } });
+    return subscriberCache.subscribe();
+  });
+
+  after(function () {
+    subscriberCache.unsubscribe();
+  });
+
+  it('should notify the writes of the publishing stores', function () {
+    var received = collectUntil(subscriberCache, 'reset');
+
+    return publisherCache.set('foo', 'bar')
+      .then(() => publisherCache.mset('bar', 1, 'baz', 2))
+      .then(() => publisherCache.del(['foo', 'bar']))
+      .then(() => publisherCache.reset())
+      .then(() => received)
+      .then(notifications => assert.deepEqual(notifications, [
+        { type: 'set', keys: ['foo'] },
+        { type: 'set', keys: ['bar', 'baz'] },
+        { type: 'del', keys: ['foo', 'bar'] },
+        { type: 'reset', keys: null }
+      ]));
+  });
+
+  it('should notify the keys deleted by pattern and by tag', function () {
+    var received = collectUntil(subscriberCache, 'reset');
+
+    return publisherCache.set('foo', 'bar', { tags: ['baz'] })
+      .then(() => publisherCache.mset('pattern:1', 1, 'pattern:2', 2))
+      .then(() => publisherCache.invalidateTags('baz'))
+      .then(() => publisherCache.delPattern('pattern:*'))
+      .then(() => publisherCache.reset())
+      .then(() => received)
+      .then(notifications => {
+        assert.deepEqual(notifications.slice(0, 3), [
+          { type: 'set', keys: ['foo'] },
+          { type: 'set', keys: ['pattern:1', 'pattern:2'] },
+          { type: 'del', keys: ['foo'] }
+        ]);
+        assert.equal(notifications[3].type, 'del');
+        assert.deepEqual(notifications[3].keys.sort(), ['pattern:1', 'pattern:2']);
+      });
+  });
+
+  it('should not notify the writes of other stores', function () {
+    var received = collectUntil(subscriberCache, 'del');
+
+    return subscriberCache.set('foo', 'bar')
+      .then(() => publisherCache.del('foo'))
+      .then(() => received)
+      .then(notifications => assert.deepEqual(notifications, [{ type: 'del', keys: ['foo'] }]));
+  });
+
+  it('should deliver notifications to handlers and type events', function () {
+    var handled = new Promise(resolve => subscriberCache.subscribe(function handler(notification) {
+      subscriberCache.unsubscribe(handler);
+      resolve(notification);
+    }));
+    var emitted = new Promise(resolve => subscriberCache.events.once('set', resolve));
+
+    return publisherCache.set('foo', 'bar')
+      .then(() => Promise.all([handled, emitted]))
+      .then(results => {
+        assert.deepEqual(results[0], { type: 'set', keys: ['foo'] });
+        assert.deepEqual(results[1], { type: 'set', keys: ['foo'] });
+      });
+  });
+
+  it('should emit an expired event per expired key', function () {
+    var expired = new Promise(resolve => subscriberCache.events.once('expired', resolve));
+    this.timeout(5000);
+
+    return subscriberCache.subscribe()
+      .then(() => subscriberCache.getClient())
+      .then(redis => new Promise((resolve, reject) => {
+        redis.client.config('set', 'notify-keyspace-events', 'Ex', err => {
+          redis.done();
+          return err ? reject(err) : resolve();
+        });
+      }))
+      .then(() => subscriberCache.set('foo', 'bar', { ttl: 1 }))
+      .then(() => expired)
+      .then(notification => assert.deepEqual(notification, { type: 'expired', keys: ['foo'] }));
+  });
+});
@@ -0,0 +1,234 @@
+var config = require('../config.json');
+var redisStore = require('../../index');
+var assert = require('assert');
+
+var redisPrefixCache;
+var redisOtherCache;
+
+describe('Key Prefix Tests', function () {
+
+  before(function () {
+    redisPrefixCache = require('cache-manager').caching({
+      store: redisStore,
+      host: config.redis.host,
+      port: config.redis.port,
+      auth_pass: config.redis.auth_pass,
+      db: config.redis.db,
+      ttl: config.redis.ttl,
+      prefix: 'ns:'
+    });
+
+    redisOtherCache = require('cache-manager').caching({
+      store: redisStore,
+      host: config.redis.host,
+      port: config.redis.port,
+      auth_pass: config.redis.auth_pass,
+      db: config.redis.db,
+      ttl: config.redis.ttl
+    });
+  });
+
+  beforeEach(function () {
+    return redisOtherCache.reset();
+  });
+
+  function getRawKeys(cb) {
+    redisOtherCache.store.getClient(function (err, redis) {
+      assert.equal(err, null);
+      redis.client.keys('*', function (err, keys) {
+        redis.done();
+        cb(err, keys.sort());
+      });
+    });
+  }
+
+  it('should not pass the prefix to the redis client', function () {
+    assert.equal(redisPrefixCache.store._pool._redis_options.prefix, undefined);
+  });
+
+  it('should accept the keyPrefix option', function (done) {
+    var redisKeyPrefixCache = require('cache-manager').caching({
+      store: redisStore,
+      host: config.redis.host,
+      port: config.redis.port,
+      db: config.redis.db,
+      keyPrefix: 'other:'
+    });
+
+    redisKeyPrefixCache.set('foo', 'bar', function (err) {
+      assert.equal(err, null);
+      getRawKeys(function (err, keys) {
+        assert.equal(err, null);
+        assert.deepEqual(keys, ['other:foo']);
+        done();
+      });
+    });
+  });
+
+  it('should prefix keys of set and mset', function (done) {
+    redisPrefixCache.set('foo', 'bar', function (err) {
+      assert.equal(err, null);
+      redisPrefixCache.store.mset('bar', 'baz', function (err) {
+        assert.equal(err, null);
+        getRawKeys(function (err, keys) {
+          assert.equal(err, null);
+          assert.deepEqual(keys, ['ns:bar', 'ns:foo']);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should prefix keys of get, mget and ttl', function () {
+    return redisOtherCache.set('ns:foo', 'bar', { ttl: 10 })
+      .then(() => redisPrefixCache.get('foo'))
+      .then(result => assert.equal(result, 'bar'))
+      .then(() => redisPrefixCache.store.mget('foo', 'ns:foo'))
+      .then(result => assert.deepEqual(result, ['bar', null]))
+      .then(() => redisPrefixCache.ttl('foo'))
+      .then(ttl => assert(ttl > 0 && ttl <= 10));
+  });
+
+  it('should prefix keys of del', function (done) {
+    redisOtherCache.store.mset('ns:foo', 1, 'ns:bar', 2, 'ns:baz', 3, 'foo', 4, function (err) {
+      assert.equal(err, null);
+      redisPrefixCache.del('foo', function (err) {
+        assert.equal(err, null);
+        redisPrefixCache.del(['bar', 'baz'], function (err) {
+          assert.equal(err, null);
+          getRawKeys(function (err, keys) {
+            assert.equal(err, null);
+            assert.deepEqual(keys, ['foo']);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should only return keys of the namespace without prefix', function (done) {
+    redisOtherCache.store.mset('ns:foo', 1, 'ns:far', 2, 'foo', 3, function (err) {
+      assert.equal(err, null);
+      redisPrefixCache.keys('fo*', function (err, keys) {
+        assert.equal(err, null);
+        assert.deepEqual(keys, ['foo']);
+        redisPrefixCache.keys(function (err, keys) {
+          assert.equal(err, null);
+          assert.deepEqual(keys.sort(), ['far', 'foo']);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should escape glob characters of the prefix', function (done) {
+    var redisGlobCache = require('cache-manager').caching({
+      store: redisStore,
+      host: config.redis.host,
+      port: config.redis.port,
+      db: config.redis.db,
+      prefix: 'n?:'
+    });
+
+    redisOtherCache.store.mset('n?:foo', 1, 'ns:bar', 2, function (err) {
+      assert.equal(err, null);
+      redisGlobCache.keys(function (err, keys) {
+        assert.equal(err, null);
+        assert.deepEqual(keys, ['foo']);
+        done();
+      });
+    });
+  });
+
+  it('should only reset keys of the namespace', function (done) {
+    redisOtherCache.store.mset('ns:foo', 1, 'ns:bar', 2, 'foo', 3, function (err) {
+      assert.equal(err, null);
+      redisPrefixCache.reset(function (err) {
+        assert.equal(err, null);
+        getRawKeys(function (err, keys) {
+          assert.equal(err, null);
+          assert.deepEqual(keys, ['foo']);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('namespace reset', function () {
+    it('should emit progress events while resetting by batches', function (done) {
+      var redisBatchCache = require('cache-manager').caching({
+        store: redisStore,
+        host: config.redis.host,
+        port: config.redis.port,
+        db: config.redis.db,
+        prefix: 'ns:',
+        resetBatchSize: 2
+      });
+      var progress = [];
+
+      redisBatchCache.store.events.on('resetProgress', function (event) {
+        assert.equal(event.pattern, 'ns:*');
+        progress.push(event.deleted);
+      });
+
+      redisOtherCache.store.mset('ns:a', 1, 'ns:b', 2, 'ns:c', 3, 'ns:d', 4, 'ns:e', 5, function (err) {
+        assert.equal(err, null);
+        redisBatchCache.reset(function (err) {
+          assert.equal(err, null);
+          assert(progress.length >= 3);
+          assert.equal(progress[progress.length - 1], 5);
+          getRawKeys(function (err, keys) {
+            assert.equal(err, null);
+            assert.deepEqual(keys, []);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should only reset keys matching the reset pattern', function (done) {
+      var redisPatternCache = require('cache-manager').caching({
+        store: redisStore,
+        host: config.redis.host,
+        port: config.redis.port,
+        db: config.redis.db,
+        resetPattern: 'cache:*'
+      });
+
+      redisOtherCache.store.mset('cache:foo', 1, 'cache:bar', 2, 'session:foo', 3, function (err) {
+        assert.equal(err, null);
+        redisPatternCache.reset(function (err) {
+          assert.equal(err, null);
+          getRawKeys(function (err, keys) {
+            assert.equal(err, null);
+            assert.deepEqual(keys, ['session:foo']);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should apply the reset pattern within the namespace', function (done) {
+      var redisPatternCache = require('cache-manager').caching({
+        store: redisStore,
+        host: config.redis.host,
+        port: config.redis.port,
+        db: config.redis.db,
+        prefix: 'ns:',
+        resetPattern: 'tmp:*'
+      });
+
+      redisOtherCache.store.mset('ns:tmp:foo', 1, 'ns:foo', 2, 'tmp:foo', 3, function (err) {
+        assert.equal(err, null);
+        redisPatternCache.reset(function (err) {
+          assert.equal(err, null);
+          getRawKeys(function (err, keys) {
+            assert.equal(err, null);
+            assert.deepEqual(keys, ['ns:foo', 'tmp:foo']);
+            done();
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,70 @@
+var config = require('../config.json');
+var redisStore = require('../../index');
+var assert = require('assert');
+
+var redisRefreshCache;
+
+/**
+ * Resolve after a delay
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('Refresh Ahead Tests', function () {
+
+  before(function () {
+    redisRefreshCache = require('cache-manager').caching({
+      store: redisStore,
+      host: config.redis.host,
+      port: config.redis.port,
+      auth_pass: config.redis.auth_pass,
+      db: config.redis.db,
+      ttl: config.redis.ttl,
+      refreshAhead: true
+    });
+  });
+
+  beforeEach(function () {
+    return redisRefreshCache.reset();
+  });
+
+  it('should not refresh entries far from their expiration', function () {
+    return redisRefreshCache.store.getOrSet('foo', () => wait(10).then(() => 'bar'))
+      .then(result => {
+        assert.equal(result, 'bar');
+        return redisRefreshCache.get('foo', { metadata: true });
+      })
+      .then(result => assert.deepEqual(result, { value: 'bar', stale: false, refresh: false }));
+  });
+
+  it('should refresh entries ahead of their expiration with a high beta', function () {
+    return redisRefreshCache.store.getOrSet('foo', () => wait(10).then(() => 'bar'))
+      .then(() => redisRefreshCache.get('foo', { metadata: true, refreshAhead: { beta: 1e9 } }))
+      .then(result => assert.deepEqual(result, { value: 'bar', stale: false, refresh: true }));
+  });
+
+  it('should not refresh entries set without their computation time', function () {
+    return redisRefreshCache.set('foo', 'bar')
+      .then(() => redisRefreshCache.get('foo', { metadata: true, refreshAhead: { beta: 1e9 } }))
+      .then(result => assert.deepEqual(result, { value: 'bar', stale: false, refresh: false }));
+  });
+
+  it('should recompute entries in the background before they expire', function () {
+    var calls = 0;
+    var loader = () => wait(10).then(() => ++calls);
+    var options = { refreshAhead: { beta: 1e9 } };
+
+    return redisRefreshCache.store.getOrSet('foo', loader, options)
+      .then(result => {
+        assert.equal(result, 1);
+        return redisRefreshCache.store.getOrSet('foo', loader, options);
+      })
+      .then(result => {
+        assert.equal(result, 1);
+        return wait(100);
+      })
+      .then(() => redisRefreshCache.get('foo'))
+      .then(result => assert.equal(result, 2));
+  });
+});
@@ -0,0 +1,65 @@
+var config = require('../config.json');
+var redisStore = require('../../index');
+var createRetryPolicy = require('../../lib/retry');
+var assert = require('assert');
+
+var redisRetryCache;
+
+describe('retry', function () {
+  it('should retry reads and idempotent writes failing with transient errors', function () {
+    var policy = createRetryPolicy(true);
+    var loading = Object.assign(new Error('LOADING Redis is loading the dataset in memory'), { code: 'LOADING' });
+
+    assert.ok(policy.shouldRetry('get', loading, 1));
+    assert.ok(policy.shouldRetry('set', loading, 2));
+    assert.ok(!policy.shouldRetry('get', loading, 3));
+    assert.ok(!policy.shouldRetry('get', new Error('WRONGTYPE'), 1));
+    assert.ok(!policy.shouldRetry('lock', loading, 1));
+    assert.ok(!createRetryPolicy({ writes: false }).shouldRetry('set', loading, 1));
+    assert.ok(!createRetryPolicy().shouldRetry('get', loading, 1));
+  });
+
+  it('should back off exponentially', function () {
+    var policy = createRetryPolicy({ delay: 10, maxDelay: 50, jitter: false });
+
+    assert.deepEqual([1, 2, 3, 4].map(policy.getDelay), [10, 20, 40, 50]);
+    assert.ok(createRetryPolicy({ delay: 10 }).getDelay(1) <= 10);
+  });
+});
+
+describe('Retry Tests', function () {
+
+  before(function () {
+    redisRetryCache = require('cache-manager').caching({
+      store: redisStore,
+      host: config.redis.host,
+      port: config.redis.port,
+      auth_pass: config.redis.auth_pass,
+      db: config.redis.db,
+      ttl: config.redis.ttl,
+      // WRONGTYPE errors are not transient, but they are easy to trigger
+      retry: { attempts: 3, delay: 1, codes: ['WRONGTYPE'] }
+    });
+  });
+
+  beforeEach(function () {
+    return redisRetryCache.reset().then(() => redisRetryCache.store.resetStats());
+  });
+
+  it('should retry failed operations, then fail', function () {
+    var retries = [];
+    redisRetryCache.store.events.on('retry', event => retries.push(event));
+
+    return redisRetryCache.store.getClient()
+      .then(redis => new Promise(resolve => redis.client.rpush('foo', 'bar', () => resolve(redis.done()))))
+      .then(() => redisRetryCache.get('foo'))
+      .then(() => assert.fail('the get should fail'), function (err) {
+        assert.ok(err instanceof redisStore.CommandError);
+        assert.equal(err.cause.code, 'WRONGTYPE');
+        assert.deepEqual(retries.map(event => event.attempt), [2, 3]);
+        assert.equal(retries[0].command, 'get');
+        assert.equal(redisRetryCache.store.getStats().retries, 2);
+        assert.equal(redisRetryCache.store.getStats().errors, 1);
+      });
+  });
+});
@@ -0,0 +1,179 @@
+var redisStore = require('../../index');
+var redis = require('redis');
+var assert = require('assert');
+var childProcess = require('child_process');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+// a master, a replica and a sentinel are started on these ports when redis-server is installed
+var MASTER_PORT = 16380;
+var REPLICA_PORT = 16381;
+var SENTINEL_PORT = 26380;
+
+var processes = [];
+var dir;
+var redisSentinelCache;
+
+/**
+ * Start a redis-server process, resolves once it accepts connections
+ */
+function startServer(args, port) {
+  var proc = childProcess.spawn('redis-server', args.concat(['--port', String(port), '--save', '', '--dir', dir]));
+  processes.push(proc);
+
+  return waitFor(() => new Promise(resolve => {
+    var client = redis.createClient({ port: port, retry_strategy: () => new Error('not started') });
+    client.on('error', () => resolve(false));
+    client.ping(err => {
+      client.quit();
+      resolve(!err);
+    });
+  }));
+}
+
+/**
+ * Poll a condition until it is met
+ */
+function waitFor(condition, timeout) {
+  var until = Date.now() + (timeout || 10000);
+
+  return (function poll() {
+    return Promise.resolve(condition()).then(met => {
+      if (met) {
+        return;
+      }
+      if (Date.now() > until) {
+        throw new Error('timed out');
+      }
+      return new Promise(resolve => setTimeout(resolve, 200)).then(poll);
+    });
+  })();
+}
+
+/**
+ * Send a SENTINEL command to the sentinel
+ */
+function sentinelCommand(args) {
+  return new Promise((resolve, reject) => {
+    var client = redis.createClient({ port: SENTINEL_PORT });
+    client.send_command('sentinel', args, (err, result) => {
+      client.quit();
+      return err ? reject(err) : resolve(result);
+    });
+  });
+}
+
+describe('Sentinel Tests', function () {
+  this.timeout(60000);
+
+  before(function () {
+    if (childProcess.spawnSync('redis-server', ['--version']).error) {
+      return this.skip();
+    }
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-manager-redis-'));
+    fs.writeFileSync(path.join(dir, 'sentinel.conf'), [
+      'port ' + SENTINEL_PORT,
+      'sentinel monitor mymaster 127.0.0.1 ' + MASTER_PORT + ' 1',
+      'sentinel down-after-milliseconds mymaster 1000',
+      'sentinel failover-timeout mymaster 5000'
+    ].join('\n'));
+
+    return startServer([], MASTER_PORT)
+      .then(() => startServer(['--slaveof', '127.0.0.1', String(MASTER_PORT)], REPLICA_PORT))
+      .then(() => startServer([path.join(dir, 'sentinel.conf'), '--sentinel'], SENTINEL_PORT))
+      // the sentinel discovers replicas from the master INFO
+      .then(() => waitFor(() => sentinelCommand(['slaves', 'mymaster']).then(r => r.length === 1), 30000))
+      .then(() => {
+        redisSentinelCache = require('cache-manager').caching({
+          store: redisStore,
+          sentinels: [{ host: '127.0.0.1', port: SENTINEL_PORT }],
+          name: 'mymaster',
+          ttl: 60
+        });
+      });
+  });
+
+  after(function () {
+    if (redisSentinelCache) {
+      redisSentinelCache.store._sentinel.stop();
+    }
+    processes.forEach(proc => proc.kill());
+  });
+
+  it('should discover the master through the sentinels', function () {
+    return redisSentinelCache.set('foo', 'bar')
+      .then(() => redisSentinelCache.get('foo'))
+      .then(result => {
+        assert.equal(result, 'bar');
+        assert.equal(redisSentinelCache.store._pool._redis_options.port, MASTER_PORT);
+      });
+  });
+
+  it('should return an error when the master is unknown', function () {
+    var store = redisStore.create({
+      sentinels: [{ host: '127.0.0.1', port: SENTINEL_PORT }],
+      name: 'unknown'
+    });
+
+    return store.get('foo').then(() => assert.fail('should fail'), err => {
+      assert.ok(/unknown master/.test(err.message));
+    });
+  });
+
+  it('should read from replicas when readFromReplicas is set', function () {
+    var store = redisStore.create({
+      sentinels: [{ host: '127.0.0.1', port: SENTINEL_PORT }],
+      name: 'mymaster',
+      readFromReplicas: true
+    });
+
+    return store.set('foo', 'baz')
+      .then(() => waitFor(() => store._readPool))
+      .then(() => {
+        assert.equal(store._readPool._redis_options.port, REPLICA_PORT);
+        return waitFor(() => store.get('foo').then(result => result === 'baz'));
+      })
+      .then(() => store._sentinel.stop());
+  });
+
+  it('should reconnect to the new master on failover', function (done) {
+    redisSentinelCache.store.events.once('failover', function (event) {
+      assert.equal(event.previous.port, MASTER_PORT);
+      assert.equal(event.master.port, REPLICA_PORT);
+
+      redisSentinelCache.set('foo', 'qux')
+        .then(() => redisSentinelCache.get('foo'))
+        .then(result => {
+          assert.equal(result, 'qux');
+          assert.equal(redisSentinelCache.store._pool._redis_options.port, REPLICA_PORT);
+          done();
+        })
+        .catch(done);
+    });
+
+    redisSentinelCache.get('foo')
+      .then(() => sentinelCommand(['failover', 'mymaster']))
+      .catch(done);
+  });
+
+  it('should watch failovers again once the sentinels are back', function (done) {
+    var sentinel = processes[2];
+
+    redisSentinelCache.store.events.once('failover', function (event) {
+      assert.equal(event.master.port, MASTER_PORT);
+      done();
+    });
+
+    sentinel.kill();
+    new Promise(resolve => sentinel.once('exit', resolve))
+      // the watcher stops reconnecting to the sentinel after a few seconds
+      .then(() => new Promise(resolve => setTimeout(resolve, 5000)))
+      .then(() => startServer([path.join(dir, 'sentinel.conf'), '--sentinel'], SENTINEL_PORT))
+      .then(() => waitFor(() => sentinelCommand(['slaves', 'mymaster'])
+        .then(r => r.some(fields => fields[fields.indexOf('master-link-status') + 1] === 'ok')), 30000))
+      .then(() => sentinelCommand(['failover', 'mymaster']))
+      .catch(done);
+  });
+});
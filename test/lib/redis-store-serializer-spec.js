@@ -0,0 +1,131 @@
+var config = require('../config.json');
+var redisStore = require('../../index');
+var assert = require('assert');
+
+var redisTypedCache;
+
+describe('Serializer Tests', function () {
+
+  before(function () {
+    redisTypedCache = require('cache-manager').caching({
+      store: redisStore,
+      host: config.redis.host,
+      port: config.redis.port,
+      auth_pass: config.redis.auth_pass,
+      db: config.redis.db,
+      ttl: config.redis.ttl,
+      serializer: 'typed'
+    });
+  });
+
+  beforeEach(function () {
+    return redisTypedCache.reset();
+  });
+
+  describe('typed serializer', function () {
+    it('should preserve types lost by JSON', function (done) {
+      var value = {
+        date: new Date(0),
+        buffer: Buffer.from('foo'),
+        map: new Map([['foo', new Set([1, 2])]]),
+        regexp: /fo+/gi,
+        nested: { $t: 'Date', v: 'not a date' }
+      };
+
+      redisTypedCache.set('foo', value, function (err) {
+        assert.equal(err, null);
+        redisTypedCache.get('foo', function (err, result) {
+          assert.equal(err, null);
+          assert(result.date instanceof Date);
+          assert.equal(result.date.getTime(), 0);
+          assert(Buffer.isBuffer(result.buffer));
+          assert.equal(result.buffer.toString(), 'foo');
+          assert.deepEqual(Array.from(result.map.get('foo')), [1, 2]);
+          assert.equal(result.regexp.toString(), '/fo+/gi');
+          assert.deepEqual(result.nested, { $t: 'Date', v: 'not a date' });
+          done();
+        });
+      });
+    });
+
+    it('should preserve undefined array items', function () {
+      return redisTypedCache.set('foo', [undefined, 1])
+        .then(() => redisTypedCache.get('foo'))
+        .then(result => {
+          assert.equal(result.length, 2);
+          assert.ok(0 in result);
+          assert.equal(result[0], undefined);
+        });
+    });
+
+    it('should not store functions', function () {
+      return redisTypedCache.set('foo', () => 'bar')
+        .then(() => assert.fail('the set should fail'), err => assert.ok(err instanceof redisStore.EncodeError));
+    });
+
+    it('should preserve types with mget / mset', function () {
+      return redisTypedCache.store.mset('foo', new Date(0), 'bar', new Set(['baz']))
+        .then(() => redisTypedCache.store.mget('foo', 'bar'))
+        .then(result => {
+          assert(result[0] instanceof Date);
+          assert(result[1] instanceof Set);
+        });
+    });
+  });
+
+  describe('per command serializer', function () {
+    it('should store raw strings without any encoding', function (done) {
+      redisTypedCache.set('foo', 'bar', { serializer: 'raw' }, function (err) {
+        assert.equal(err, null);
+        redisTypedCache.store.getClient(function (err, redis) {
+          assert.equal(err, null);
+          redis.client.get('foo', function (err, result) {
+            redis.done();
+            assert.equal(err, null);
+            assert.equal(result, 'bar');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should read Buffers with the buffer serializer', function () {
+      return redisTypedCache.set('foo', Buffer.from([0, 1, 2]), { serializer: 'buffer' })
+        .then(() => redisTypedCache.get('foo', { serializer: 'buffer' }))
+        .then(result => assert.deepEqual(result, Buffer.from([0, 1, 2])));
+    });
+
+    it('should not store a value the raw serializer cannot handle', function (done) {
+      redisTypedCache.set('foo', { bar: 'baz' }, { serializer: 'raw' }, function (err) {
+        assert.notEqual(err, null);
+        done();
+      });
+    });
+
+    it('should not store a value a custom serializer does not turn into a string or a Buffer', function () {
+      var broken = { serialize: () => undefined, deserialize: data => data };
+
+      return redisTypedCache.set('foo', 'bar', { serializer: broken })
+        .then(() => assert.fail('the set should fail'), err => assert.ok(err instanceof redisStore.EncodeError))
+        .then(() => redisTypedCache.store.mset('foo', 'bar', { serializer: broken, compress: true }))
+        .then(() => assert.fail('the mset should fail'), err => assert.ok(err instanceof redisStore.EncodeError));
+    });
+
+    it('should accept a custom serializer', function () {
+      var upperCase = {
+        serialize: value => value.toUpperCase(),
+        deserialize: data => data.toLowerCase()
+      };
+
+      return redisTypedCache.set('foo', 'bar', { serializer: upperCase })
+        .then(() => redisTypedCache.get('foo', { serializer: 'raw' }))
+        .then(result => assert.equal(result, 'BAR'))
+        .then(() => redisTypedCache.get('foo', { serializer: upperCase }))
+        .then(result => assert.equal(result, 'bar'));
+    });
+  });
+
+  it('should expose the built-in serializers', function () {
+    assert.deepEqual(Object.keys(redisStore.serializers), ['json', 'typed', 'raw', 'buffer']);
+  });
+});
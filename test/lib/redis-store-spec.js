@@ -209,6 +209,21 @@ describe('get', function () {
       .catch(() => done());
   });
 
+  it('should retrieve a value for a numeric key', function () {
+    return redisCache.set(42, 'bar')
+      .then(() => redisCache.get(42))
+      .then(result => assert.equal(result, 'bar'))
+      .then(() => redisCache.store.mget(42, 'foo'))
+      .then(result => assert.deepEqual(result, ['bar', null]));
+  });
+
+  it('should return an error for a key that cannot be converted to a string', function (done) {
+    redisCache.get({ toString: () => { throw new Error('no string'); } }, function (err) {
+      assert.equal(err.message, 'no string');
+      done();
+    });
+  });
+
   it('should retrieve a value for a given key', function (done) {
     var value = 'bar';
     redisCache.set('foo', value, function () {
@@ -248,6 +263,127 @@ describe('get', function () {
   });
 });
 
+describe('mget', function () {
+  it('should return a promise', function () {
+    assert.ok(redisCache.store.mget('foo', 'bar') instanceof Promise);
+  });
+
+  it('should resolve promise on success', function () {
+    return redisCache.set('foo', 'bar')
+      .then(() => redisCache.store.mget('foo'))
+      .then(result => assert.deepEqual(result, ['bar']));
+  });
+
+  it('should reject promise on error', function () {
+    injectError();
+
+    return redisCache.store.mget('foo').then(res => assert.fail(res), err => assert.notEqual(err, null));
+  });
+
+  it('should retrieve values for the given keys', function (done) {
+    redisCache.set('foo', 'bar', function () {
+      redisCache.set('bar', { baz: 1 }, function () {
+        redisCache.store.mget('foo', 'bar', function (err, result) {
+          assert.equal(err, null);
+          assert.deepEqual(result, ['bar', { baz: 1 }]);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should retrieve values for the given keys if options provided', function (done) {
+    redisCache.set('foo', 'bar', function () {
+      redisCache.store.mget('foo', {}, function (err, result) {
+        assert.equal(err, null);
+        assert.deepEqual(result, ['bar']);
+        done();
+      });
+    });
+  });
+
+  it('should retrieve values for an array of keys', function () {
+    return redisCache.set('foo', 'bar')
+      .then(() => redisCache.store.mget(['foo', 'bar'], {}))
+      .then(result => assert.deepEqual(result, ['bar', null]));
+  });
+
+  it('should return null for missing keys', function (done) {
+    redisCache.set('foo', 'bar', function () {
+      redisCache.store.mget('foo', 'invalidKey', function (err, result) {
+        assert.equal(err, null);
+        assert.deepEqual(result, ['bar', null]);
+        done();
+      });
+    });
+  });
+
+  it('should return an error if there is an error acquiring a connection', function (done) {
+    injectError();
+    redisCache.store.mget('foo', function (err) {
+      assert.notEqual(err, null);
+      done();
+    });
+  });
+});
+
+describe('mset', function () {
+  it('should return a promise', function () {
+    assert.ok(redisCache.store.mset('foo', 'bar') instanceof Promise);
+  });
+
+  it('should reject promise on error', function () {
+    injectError();
+
+    return redisCache.store.mset('foo', 'bar').then(res => assert.fail(res), err => assert.notEqual(err, null));
+  });
+
+  it('should store multiple values', function (done) {
+    redisCache.store.mset('foo', 'bar', 'bar', { baz: 1 }, function (err) {
+      assert.equal(err, null);
+      redisCache.store.mget('foo', 'bar', function (err, result) {
+        assert.equal(err, null);
+        assert.deepEqual(result, ['bar', { baz: 1 }]);
+        done();
+      });
+    });
+  });
+
+  it('should store multiple values with a specific ttl', function (done) {
+    redisCache.store.mset('foo', 'bar', 'bar', 'baz', { ttl: 10 }, function (err) {
+      assert.equal(err, null);
+      redisCache.ttl('bar', function (err, ttl) {
+        assert.equal(err, null);
+        assert(ttl > 0 && ttl <= 10);
+        done();
+      });
+    });
+  });
+
+  it('should store multiple values with a infinite ttl', function (done) {
+    redisCache.store.mset('foo', 'bar', 'bar', 'baz', { ttl: 0 }, function (err) {
+      assert.equal(err, null);
+      redisCache.ttl('bar', function (err, ttl) {
+        assert.equal(err, null);
+        assert.equal(ttl, -1);
+        done();
+      });
+    });
+  });
+
+  it('should not store an invalid value', function (done) {
+    redisCache.store.mset('foo', 'bar', 'bar', undefined, function (err) {
+      try {
+        assert.notEqual(err, null);
+        assert.equal(err.message, 'value cannot be undefined');
+        done();
+      } catch (e) {
+        done(e);
+      }
+    });
+  });
+});
+
 describe('del', function () {
   it('should return a promise', function () {
     assert.ok(redisCache.del('foo', 'bar') instanceof Promise);
@@ -350,6 +486,146 @@ describe('reset', function () {
   });
 });
 
+describe('delPattern', function () {
+  beforeEach(function () {
+    return redisCache.store.mset('user:1:foo', 'bar', 'user:1:bar', 'baz', 'user:2:foo', 'bar');
+  });
+
+  it('should return a promise', function () {
+    assert.ok(redisCache.store.delPattern('user:1:*') instanceof Promise);
+  });
+
+  it('should reject promise on error', function () {
+    injectError();
+
+    return redisCache.store.delPattern('user:1:*').then(res => assert.fail(res), err => assert.notEqual(err, null));
+  });
+
+  it('should delete the keys matching the pattern and return their count', function (done) {
+    redisCache.store.delPattern('user:1:*', { batchSize: 1 }, function (err, count) {
+      assert.equal(err, null);
+      assert.equal(count, 2);
+      redisCache.keys(function (err, keys) {
+        assert.equal(err, null);
+        assert.deepEqual(keys, ['user:2:foo']);
+        done();
+      });
+    });
+  });
+
+  it('should return 0 when no key matches', function () {
+    return redisCache.store.delPattern('invalid:*').then(count => assert.equal(count, 0));
+  });
+
+  it('should only report the matching keys in dry-run mode', function () {
+    return redisCache.store.delPattern('user:1:*', { dryRun: true })
+      .then(keys => assert.deepEqual(keys.sort(), ['user:1:bar', 'user:1:foo']))
+      .then(() => redisCache.keys('*'))
+      .then(keys => assert.equal(keys.length, 3));
+  });
+});
+
+describe('getOrSet', function () {
+  var calls;
+
+  // Simulate a slow database query
+  function loader(cb) {
+    calls++;
+    setTimeout(() => cb(null, { calls: calls }), 100);
+  }
+
+  beforeEach(function () {
+    calls = 0;
+  });
+
+  it('should return a promise', function () {
+    assert.ok(redisCache.store.getOrSet('foo', loader) instanceof Promise);
+  });
+
+  it('should reject promise on error', function () {
+    injectError();
+
+    return redisCache.store.getOrSet('foo', loader).then(res => assert.fail(res), err => assert.notEqual(err, null));
+  });
+
+  it('should load and cache the value on a miss', function (done) {
+    redisCache.store.getOrSet('foo', loader, function (err, value) {
+      assert.equal(err, null);
+      assert.deepEqual(value, { calls: 1 });
+      redisCache.get('foo', function (err, result) {
+        assert.deepEqual(result, { calls: 1 });
+        done();
+      });
+    });
+  });
+
+  it('should not run the loader on a hit', function () {
+    return redisCache.set('foo', 'bar')
+      .then(() => redisCache.store.getOrSet('foo', loader))
+      .then(value => {
+        assert.equal(value, 'bar');
+        assert.equal(calls, 0);
+      });
+  });
+
+  it('should run the loader once for concurrent misses', function () {
+    return Promise.all([
+      redisCache.store.getOrSet('foo', loader),
+      redisCache.store.getOrSet('foo', loader),
+      redisCache.store.getOrSet('foo', loader)
+    ]).then(values => {
+      assert.deepEqual(values, [{ calls: 1 }, { calls: 1 }, { calls: 1 }]);
+      assert.equal(calls, 1);
+      return redisCache.keys('*');
+    }).then(keys => assert.deepEqual(keys, ['foo']));
+  });
+
+  it('should accept loaders returning a promise', function () {
+    return redisCache.store.getOrSet('foo', () => Promise.resolve('bar'))
+      .then(value => assert.equal(value, 'bar'));
+  });
+
+  it('should release the lock when the loader fails', function () {
+    return redisCache.store.getOrSet('foo', () => Promise.reject(new Error('loader error')))
+      .then(res => assert.fail(res), err => assert.equal(err.message, 'loader error'))
+      .then(() => redisCache.keys('*'))
+      .then(keys => assert.deepEqual(keys, []));
+  });
+
+  describe('when another process holds the lock', function () {
+    beforeEach(function (done) {
+      redisCache.store.getClient(function (err, redis) {
+        redis.client.set('lock:foo', 'token', function () {
+          redis.done(done);
+        });
+      });
+    });
+
+    it('should run the loader once the wait times out', function () {
+      return redisCache.store.getOrSet('foo', loader, { waitTimeout: 200 })
+        .then(value => assert.deepEqual(value, { calls: 1 }));
+    });
+
+    it('should fail once the wait times out with the error fallback', function () {
+      return redisCache.store.getOrSet('foo', loader, { waitTimeout: 200, fallback: 'error' })
+        .then(res => assert.fail(res), err => {
+          assert.equal(err.message, 'timed out waiting for the lock of foo');
+          assert.equal(calls, 0);
+        });
+    });
+
+    it('should return the value set while waiting', function () {
+      setTimeout(() => redisCache.set('foo', 'bar'), 100);
+
+      return redisCache.store.getOrSet('foo', loader, { waitTimeout: 1000 })
+        .then(value => {
+          assert.equal(value, 'bar');
+          assert.equal(calls, 0);
+        });
+    });
+  });
+});
+
 describe('ttl', function () {
   it('should return a promise', function () {
     assert.ok(redisCache.ttl('foo') instanceof Promise);
@@ -484,6 +760,134 @@ describe('keys', function () {
   });
 });
 
+describe('scanIterator', function () {
+  function collect(iterator, batches) {
+    return iterator.next().then(result => {
+      if (result.done) {
+        return batches;
+      }
+      batches.push(result.value);
+      return collect(iterator, batches);
+    });
+  }
+
+  beforeEach(function () {
+    return redisCache.store.mset('foo', 'bar', 'far', 'boo', 'faz', 'bam', 'baz', 'foo');
+  });
+
+  it('should iterate over batches of keys for the given pattern', function () {
+    return collect(redisCache.store.scanIterator('f*', { scanCount: 1 }), []).then(batches => {
+      var keys = [].concat.apply([], batches);
+      assert.deepEqual(keys.sort(), ['far', 'faz', 'foo']);
+      batches.forEach(batch => assert(batch.length > 0));
+    });
+  });
+
+  it('should iterate over every key without pattern', function () {
+    return collect(redisCache.store.scanIterator({ dedupe: true }), []).then(batches => {
+      assert.deepEqual([].concat.apply([], batches).sort(), ['baz', 'far', 'faz', 'foo']);
+    });
+  });
+
+  it('should filter keys by type', function () {
+    return new Promise((resolve, reject) => {
+      redisCache.store.getClient(function (err, redis) {
+        if (err) {
+          return reject(err);
+        }
+        redis.client.sadd('set', 'member', err => redis.done(err ? reject : resolve, err));
+      });
+    })
+      .then(() => collect(redisCache.store.scanIterator('*', { type: 'set' }), []))
+      .then(batches => assert.deepEqual([].concat.apply([], batches), ['set']));
+  });
+
+  it('should be an async iterator', function () {
+    if (!Symbol.asyncIterator) {
+      return this.skip();
+    }
+    var iterator = redisCache.store.scanIterator();
+    assert.equal(iterator[Symbol.asyncIterator](), iterator);
+  });
+
+  it('should release the connection when stopped early', function () {
+    var release = sandbox.spy(redisCache.store._pool, 'release');
+    var iterator = redisCache.store.scanIterator('*', { scanCount: 1 });
+
+    return iterator.next()
+      .then(result => {
+        assert.equal(result.done, false);
+        return iterator.return();
+      })
+      .then(result => {
+        assert.equal(result.done, true);
+        assert(release.calledOnce);
+        return iterator.next();
+      })
+      .then(result => assert.equal(result.done, true));
+  });
+
+  it('should wait for the SCAN in flight to release the connection when stopped', function () {
+    var release = sandbox.spy(redisCache.store._pool, 'release');
+    var iterator = redisCache.store.scanIterator('*', { scanCount: 1 });
+
+    return iterator.next()
+      .then(() => {
+        var pending = iterator.next();
+        var stopped = iterator.return();
+
+        assert(release.notCalled);
+        return Promise.all([pending, stopped]);
+      })
+      .then(results => {
+        assert.deepEqual(results.map(result => result.done), [true, true]);
+        assert(release.calledOnce);
+      });
+  });
+
+  it('should reject if there is an error acquiring a connection', function () {
+    injectError();
+
+    return redisCache.store.scanIterator().next().then(res => assert.fail(res), err => assert.notEqual(err, null));
+  });
+});
+
+describe('keysStream', function () {
+  beforeEach(function () {
+    return redisCache.store.mset('foo', 'bar', 'far', 'boo', 'faz', 'bam');
+  });
+
+  it('should stream batches of keys for the given pattern', function (done) {
+    var keys = [];
+    redisCache.store.keysStream('f*', { scanCount: 1 })
+      .on('data', batch => keys = keys.concat(batch))
+      .on('error', done)
+      .on('end', () => {
+        assert.deepEqual(keys.sort(), ['far', 'faz', 'foo']);
+        done();
+      });
+  });
+
+  it('should release the connection when destroyed', function (done) {
+    var release = sandbox.spy(redisCache.store._pool, 'release');
+    var stream = redisCache.store.keysStream('*', { scanCount: 1 });
+
+    stream.once('data', () => stream.destroy());
+    stream.on('close', () => {
+      assert(release.calledOnce);
+      done();
+    });
+  });
+
+  it('should emit an error if there is an error acquiring a connection', function (done) {
+    injectError();
+    redisCache.store.keysStream().on('error', err => {
+      assert.notEqual(err, null);
+      done();
+    }).resume();
+  });
+});
+
 describe('isCacheableValue', function () {
   it('should return true when the value is not undefined', function (done) {
     assert.equal(redisCache.store.isCacheableValue(0), true);
@@ -0,0 +1,119 @@
+var config = require('../config.json');
+var redisStore = require('../../index');
+var assert = require('assert');
+
+var redisStaleCache;
+
+/**
+ * Wait for entries to become stale
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('Stale Tests', function () {
+  this.timeout(5000);
+
+  before(function () {
+    redisStaleCache = require('cache-manager').caching({
+      store: redisStore,
+      host: config.redis.host,
+      port: config.redis.port,
+      auth_pass: config.redis.auth_pass,
+      db: config.redis.db,
+      ttl: config.redis.ttl,
+      staleTtl: 60
+    });
+  });
+
+  beforeEach(function () {
+    return redisStaleCache.reset();
+  });
+
+  it('should keep entries stale after their ttl', function () {
+    return redisStaleCache.set('foo', 'bar', { ttl: 1 })
+      .then(() => redisStaleCache.ttl('foo'))
+      .then(ttl => {
+        assert.ok(ttl > 1);
+        return redisStaleCache.get('foo', { metadata: true });
+      })
+      .then(result => assert.deepEqual(result, { value: 'bar', stale: false }));
+  });
+
+  it('should only return stale values on demand', function () {
+    return redisStaleCache.set('foo', 'bar', { ttl: 1 })
+      .then(() => wait(1100))
+      .then(() => redisStaleCache.get('foo'))
+      .then(result => {
+        assert.equal(result, null);
+        return redisStaleCache.get('foo', { allowStale: true });
+      })
+      .then(result => {
+        assert.equal(result, 'bar');
+        return redisStaleCache.get('foo', { metadata: true });
+      })
+      .then(result => assert.deepEqual(result, { value: 'bar', stale: true }));
+  });
+
+  it('should return stale values of mget on demand', function () {
+    return redisStaleCache.store.mset('foo', 1, 'bar', 2, { ttl: 1 })
+      .then(() => wait(1100))
+      .then(() => redisStaleCache.store.mget('foo', 'bar', 'baz'))
+      .then(results => {
+        assert.deepEqual(results, [null, null, null]);
+        return redisStaleCache.store.mget('foo', 'baz', { metadata: true });
+      })
+      .then(results => assert.deepEqual(results, [{ value: 1, stale: true }, null]));
+  });
+
+  it('should not wrap entries without a stale ttl', function () {
+    return redisStaleCache.set('foo', 'bar', { staleTtl: 0 })
+      .then(() => redisStaleCache.store.getClient())
+      .then(redis => new Promise((resolve, reject) => redis.client.get('foo', (err, value) => {
+        redis.done();
+        return err ? reject(err) : resolve(value);
+      })))
+      .then(value => assert.equal(value, '"bar"'));
+  });
+
+  it('should serve stale values while refreshing them in the background', function () {
+    var calls = 0;
+    var loader = () => {
+      calls++;
+      return wait(100).then(() => 'fresh');
+    };
+
+    return redisStaleCache.set('foo', 'stale', { ttl: 1 })
+      .then(() => wait(1100))
+      .then(() => Promise.all([
+        redisStaleCache.store.getOrSet('foo', loader, { ttl: 1 }),
+        redisStaleCache.store.getOrSet('foo', loader, { ttl: 1 })
+      ]))
+      .then(results => {
+        assert.deepEqual(results, ['stale', 'stale']);
+        return wait(300);
+      })
+      .then(() => redisStaleCache.get('foo'))
+      .then(result => {
+        assert.equal(result, 'fresh');
+        assert.equal(calls, 1);
+      });
+  });
+
+  it('should emit the errors of background refreshes', function () {
+    var error = new Error('boom');
+
+    return redisStaleCache.set('foo', 'stale', { ttl: 1 })
+      .then(() => wait(1100))
+      .then(() => new Promise((resolve, reject) => {
+        redisStaleCache.store.events.once('refreshError', (err, key) => {
+          assert.equal(err, error);
+          assert.equal(key, 'foo');
+          resolve();
+        });
+        redisStaleCache.store.getOrSet('foo', () => Promise.reject(error))
+          .then(result => assert.equal(result, 'stale'))
+          .catch(reject);
+      }));
+  });
+});
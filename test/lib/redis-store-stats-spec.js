@@ -0,0 +1,135 @@
+var config = require('../config.json');
+var redisStore = require('../../index');
+var createStats = require('../../lib/stats');
+var assert = require('assert');
+
+var redisStatsCache;
+
+describe('stats', function () {
+  it('should count and compute the ratios', function () {
+    var stats = createStats();
+
+    assert.equal(stats.get().hitRatio, null);
+    stats.increment('hits');
+    stats.increment('hits');
+    stats.increment('misses');
+    stats.increment('uncompressedBytes', 300);
+    stats.increment('compressedBytes', 100);
+
+    var result = stats.get();
+    assert.equal(result.hits, 2);
+    assert.equal(result.misses, 1);
+    assert.equal(result.hitRatio, 2 / 3);
+    assert.equal(result.compressionRatio, 3);
+  });
+
+  it('should build cumulative latency histograms', function () {
+    var stats = createStats({ buckets: [10, 1] });
+
+    stats.observe('get', 0.5);
+    stats.observe('get', 5);
+    stats.observe('get', 50);
+
+    assert.deepEqual(stats.get().latency.get, { count: 3, sum: 55.5, buckets: { 1: 1, 10: 2 } });
+  });
+
+  it('should format the statistics for Prometheus', function () {
+    var stats = createStats({ buckets: [1] });
+
+    stats.increment('hits');
+    stats.observe('get', 0.5);
+
+    var metrics = stats.toPrometheus('cache').split('\n');
+    assert.ok(metrics.indexOf('# TYPE cache_hits_total counter') !== -1);
+    assert.ok(metrics.indexOf('cache_hits_total 1') !== -1);
+    assert.ok(metrics.indexOf('# TYPE cache_command_duration_milliseconds histogram') !== -1);
+    assert.ok(metrics.indexOf('cache_command_duration_milliseconds_bucket{command="get",le="1"} 1') !== -1);
+    assert.ok(metrics.indexOf('cache_command_duration_milliseconds_bucket{command="get",le="+Inf"} 1') !== -1);
+    assert.ok(metrics.indexOf('cache_command_duration_milliseconds_count{command="get"} 1') !== -1);
+  });
+
+  it('should reset the statistics', function () {
+    var stats = createStats();
+
+    stats.increment('sets');
+    stats.observe('set', 1);
+    stats.reset();
+
+    assert.equal(stats.get().sets, 0);
+    assert.deepEqual(stats.get().latency, {});
+  });
+});
+
+describe('Stats Tests', function () {
+
+  before(function () {
+    redisStatsCache = require('cache-manager').caching({
+      store: redisStore,
+      host: config.redis.host,
+      port: config.redis.port,
+      auth_pass: config.redis.auth_pass,
+      db: config.redis.db,
+      ttl: config.redis.ttl
+    });
+  });
+
+  beforeEach(function () {
+    return redisStatsCache.reset().then(() => redisStatsCache.store.resetStats());
+  });
+
+  it('should count hits, misses, sets and deletes', function () {
+    return redisStatsCache.set('foo', 'bar')
+      .then(() => redisStatsCache.get('foo'))
+      .then(() => redisStatsCache.get('baz'))
+      .then(() => redisStatsCache.store.mget('foo', 'baz'))
+      .then(() => redisStatsCache.del(['foo', 'baz']))
+      .then(() => {
+        var stats = redisStatsCache.store.getStats();
+        assert.equal(stats.hits, 2);
+        assert.equal(stats.misses, 2);
+        assert.equal(stats.hitRatio, 0.5);
+        assert.equal(stats.sets, 1);
+        assert.equal(stats.deletes, 1);
+        assert.equal(stats.bytesOut, 5);
+        assert.equal(stats.bytesIn, 10);
+        assert.deepEqual(Object.keys(stats.latency).sort(), ['del', 'get', 'mget', 'set']);
+        assert.equal(stats.latency.get.count, 2);
+      });
+  });
+
+  it('should count failed commands', function () {
+    return redisStatsCache.set('foo', null)
+      .then(res => assert.fail(res), () => assert.equal(redisStatsCache.store.getStats().errors, 1));
+  });
+
+  it('should compute the compression ratio', function () {
+    return redisStatsCache.set('foo', 'x'.repeat(1000), { compress: true })
+      .then(() => assert.ok(redisStatsCache.store.getStats().compressionRatio > 1));
+  });
+
+  it('should emit command, hit and miss events', function () {
+    var events = [];
+    var onCommand = event => events.push(event.command);
+    var onHit = key => events.push('hit:' + key);
+    var onMiss = key => events.push('miss:' + key);
+
+    redisStatsCache.store.events.on('command', onCommand);
+    redisStatsCache.store.events.on('hit', onHit);
+    redisStatsCache.store.events.on('miss', onMiss);
+
+    return redisStatsCache.set('foo', 'bar')
+      .then(() => redisStatsCache.get('foo'))
+      .then(() => redisStatsCache.get('baz'))
+      .then(() => {
+        redisStatsCache.store.events.removeListener('command', onCommand);
+        redisStatsCache.store.events.removeListener('hit', onHit);
+        redisStatsCache.store.events.removeListener('miss', onMiss);
+        assert.deepEqual(events, ['set', 'hit:foo', 'get', 'miss:baz', 'get']);
+      });
+  });
+
+  it('should export the statistics for Prometheus', function () {
+    return redisStatsCache.get('foo')
+      .then(() => assert.ok(/^cache_manager_redis_misses_total 1$/m.test(redisStatsCache.store.getMetrics())));
+  });
+});
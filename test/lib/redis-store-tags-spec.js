@@ -0,0 +1,154 @@
+var config = require('../config.json');
+var redisStore = require('../../index');
+var assert = require('assert');
+
+var redisTagCache;
+
+describe('Tag Tests', function () {
+
+  before(function () {
+    redisTagCache = require('cache-manager').caching({
+      store: redisStore,
+      host: config.redis.host,
+      port: config.redis.port,
+      auth_pass: config.redis.auth_pass,
+      db: config.redis.db,
+      ttl: config.redis.ttl
+    });
+  });
+
+  beforeEach(function () {
+    return redisTagCache.reset()
+      .then(() => redisTagCache.set('user', 'foo', { tags: ['user:1', 'org:7'] }))
+      .then(() => redisTagCache.set('org', 'bar', { tags: ['org:7'] }))
+      .then(() => redisTagCache.set('other', 'baz', { tags: ['user:2'] }));
+  });
+
+  function withClient(fn) {
+    return new Promise((resolve, reject) => {
+      redisTagCache.store.getClient(function (err, redis) {
+        if (err) {
+          return reject(err);
+        }
+        fn(redis.client, function (err, result) {
+          redis.done();
+          return err ? reject(err) : resolve(result);
+        });
+      });
+    });
+  }
+
+  describe('set', function () {
+    it('should store tagged values', function () {
+      return redisTagCache.store.mget('user', 'org', 'other')
+        .then(result => assert.deepEqual(result, ['foo', 'bar', 'baz']));
+    });
+
+    it('should add the key to the tag sets', function () {
+      return withClient((client, cb) => client.smembers('tag:org:7', cb))
+        .then(members => assert.deepEqual(members.sort(), ['org', 'user']));
+    });
+
+    it('should expire tag sets with their longest living entry', function () {
+      return redisTagCache.set('long', 'foo', { ttl: config.redis.ttl * 2, tags: ['org:7'] })
+        .then(() => redisTagCache.set('short', 'foo', { ttl: 1, tags: ['org:7'] }))
+        .then(() => withClient((client, cb) => client.ttl('tag:org:7', cb)))
+        .then(ttl => assert(ttl > config.redis.ttl));
+    });
+
+    it('should keep the tags of each entry', function () {
+      return withClient((client, cb) => client.smembers('tags:user', cb))
+        .then(members => assert.deepEqual(members.sort(), ['tag:org:7', 'tag:user:1']));
+    });
+
+    it('should drop the tags of entries set again without tags', function () {
+      return redisTagCache.set('user', 'foo')
+        .then(() => withClient((client, cb) => client.exists('tags:user', cb)))
+        .then(exists => assert.equal(exists, 0));
+    });
+
+    it('should not expire tag sets of entries without ttl', function () {
+      return redisTagCache.set('forever', 'foo', { ttl: 0, tags: ['org:7'] })
+        .then(() => withClient((client, cb) => client.ttl('tag:org:7', cb)))
+        .then(ttl => assert.equal(ttl, -1));
+    });
+  });
+
+  describe('invalidateTags', function () {
+    it('should return a promise', function () {
+      assert.ok(redisTagCache.store.invalidateTags('org:7') instanceof Promise);
+    });
+
+    it('should delete every entry of a tag', function (done) {
+      redisTagCache.store.invalidateTags('org:7', function (err, count) {
+        assert.equal(err, null);
+        assert.equal(count, 2);
+        redisTagCache.store.mget('user', 'org', 'other', function (err, result) {
+          assert.equal(err, null);
+          assert.deepEqual(result, [null, null, 'baz']);
+          done();
+        });
+      });
+    });
+
+    it('should delete the entries of several tags', function () {
+      return redisTagCache.store.invalidateTags(['user:1', 'user:2'])
+        .then(count => assert.equal(count, 2))
+        .then(() => redisTagCache.store.mget('user', 'org', 'other'))
+        .then(result => assert.deepEqual(result, [null, 'bar', null]));
+    });
+
+    it('should not delete entries set again without the tag', function () {
+      return redisTagCache.set('org', 'new')
+        .then(() => redisTagCache.store.invalidateTags('org:7'))
+        .then(count => assert.equal(count, 1))
+        .then(() => redisTagCache.store.mget('user', 'org'))
+        .then(result => assert.deepEqual(result, [null, 'new']));
+    });
+
+    it('should not delete entries deleted and set again with other tags', function () {
+      return redisTagCache.del('org')
+        .then(() => redisTagCache.set('org', 'new', { tags: ['user:2'] }))
+        .then(() => redisTagCache.store.invalidateTags('org:7'))
+        .then(count => assert.equal(count, 1))
+        .then(() => redisTagCache.get('org'))
+        .then(value => assert.equal(value, 'new'));
+    });
+
+    it('should delete the tag sets', function () {
+      return redisTagCache.store.invalidateTags('org:7')
+        .then(() => withClient((client, cb) => client.exists('tag:org:7', cb)))
+        .then(exists => assert.equal(exists, 0));
+    });
+  });
+
+  describe('pruneTags', function () {
+    it('should remove deleted entries from a tag set', function () {
+      return redisTagCache.del('user')
+        .then(() => redisTagCache.store.pruneTags('org:7'))
+        .then(count => assert.equal(count, 1))
+        .then(() => withClient((client, cb) => client.smembers('tag:org:7', cb)))
+        .then(members => assert.deepEqual(members, ['org']));
+    });
+
+    it('should remove entries not tagged anymore from a tag set', function () {
+      return redisTagCache.set('user', 'foo', { tags: ['user:1'] })
+        .then(() => redisTagCache.store.pruneTags('org:7'))
+        .then(count => assert.equal(count, 1))
+        .then(() => withClient((client, cb) => client.smembers('tag:org:7', cb)))
+        .then(members => assert.deepEqual(members, ['org']));
+    });
+
+    it('should prune every tag set', function (done) {
+      redisTagCache.del(['user', 'other'], function (err) {
+        assert.equal(err, null);
+        redisTagCache.store.pruneTags(function (err, count) {
+          assert.equal(err, null);
+          // user from user:1 and org:7, other from user:2
+          assert.equal(count, 3);
+          done();
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,100 @@
+var config = require('../config.json');
+var redisStore = require('../../index');
+var assert = require('assert');
+
+var redisTimeoutCache;
+
+describe('Timeout Tests', function () {
+
+  before(function () {
+    redisTimeoutCache = require('cache-manager').caching({
+      store: redisStore,
+      host: config.redis.host,
+      port: config.redis.port,
+      auth_pass: config.redis.auth_pass,
+      db: config.redis.db,
+      ttl: config.redis.ttl,
+      max: 1
+    });
+  });
+
+  beforeEach(function () {
+    return redisTimeoutCache.set('foo', 'bar');
+  });
+
+  it('should time out acquiring a connection of an exhausted pool', function () {
+    return redisTimeoutCache.store.getClient().then(function (redis) {
+      return redisTimeoutCache.get('foo', { acquireTimeout: 50 })
+        .then(() => assert.fail('the get should time out'), function (err) {
+          assert.ok(err instanceof redisStore.TimeoutError);
+          assert.equal(err.code, 'ETIMEDOUT');
+          assert.equal(err.phase, 'acquire');
+          assert.equal(err.timeout, 50);
+        })
+        .then(() => redis.done())
+        .then(() => redisTimeoutCache.get('foo'))
+        .then(value => assert.equal(value, 'bar'));
+    });
+  });
+
+  it('should time out commands, and replace their connection', function () {
+    return redisTimeoutCache.store.getClient().then(function (redis) {
+      return new Promise(resolve => redis.client.send_command('client', ['pause', 200], resolve))
+        .then(() => redis.done())
+        .then(() => redisTimeoutCache.get('foo', { commandTimeout: 50 }))
+        .then(() => assert.fail('the get should time out'), function (err) {
+          assert.ok(err instanceof redisStore.TimeoutError);
+          assert.equal(err.phase, 'command');
+        })
+        .then(() => redisTimeoutCache.get('foo'))
+        .then(value => assert.equal(value, 'bar'));
+    });
+  });
+
+  it('should time out acquiring a connection for a lock', function () {
+    return redisTimeoutCache.store.getClient().then(function (redis) {
+      return redisTimeoutCache.store.lock('foo', 1000, { acquireTimeout: 50 })
+        .then(() => assert.fail('the lock should time out'), function (err) {
+          assert.ok(err instanceof redisStore.TimeoutError);
+          assert.equal(err.phase, 'acquire');
+        })
+        .then(() => redis.done());
+    });
+  });
+
+  it('should not time out fast commands', function () {
+    return redisTimeoutCache.get('foo', { commandTimeout: 1000, acquireTimeout: 1000 })
+      .then(value => assert.equal(value, 'bar'));
+  });
+
+  it('should abort operations waiting for a connection', function () {
+    var controller = new AbortController();
+
+    return redisTimeoutCache.store.getClient().then(function (redis) {
+      var get = redisTimeoutCache.get('foo', { signal: controller.signal });
+      controller.abort();
+
+      return get
+        .then(() => assert.fail('the get should be aborted'), function (err) {
+          assert.ok(err instanceof redisStore.AbortError);
+          assert.equal(err.code, 'ABORT_ERR');
+        })
+        .then(() => redis.done())
+        .then(() => redisTimeoutCache.get('foo'))
+        .then(value => assert.equal(value, 'bar'));
+    });
+  });
+
+  it('should not run operations already aborted', function (done) {
+    var controller = new AbortController();
+    controller.abort();
+
+    redisTimeoutCache.del('foo', { signal: controller.signal }, function (err) {
+      assert.equal(err.name, 'AbortError');
+      redisTimeoutCache.get('foo').then(function (value) {
+        assert.equal(value, 'bar');
+        done();
+      }).catch(done);
+    });
+  });
+});
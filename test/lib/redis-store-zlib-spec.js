@@ -182,6 +182,30 @@ describe('Compression Tests', function () {
     });
   });
 
+  describe('compress mget / mset', function () {
+    it('should store and retrieve multiple values', function (done) {
+      redisCompressCache.store.mset('foo', testObject, 'bar', 'baz', function (err) {
+        assert.equal(err, null);
+        redisCompressCache.store.mget('foo', 'bar', 'invalidKey', function (err, result) {
+          assert.equal(err, null);
+          assert.deepEqual(result, [testObject, 'baz', null]);
+          done();
+        });
+      });
+    });
+
+    it('should allow compress to be turned off per command', function (done) {
+      redisCompressCache.store.mset('foo', testObject, { compress: false }, function (err) {
+        assert.equal(err, null);
+        redisCompressCache.store.mget('foo', { compress: false }, function (err, result) {
+          assert.equal(err, null);
+          assert.deepEqual(result, [testObject]);
+          done();
+        });
+      });
+    });
+  });
+
   describe('compress uses url to override redis options', function () {
     var redisCacheByUrl;
 
@@ -290,6 +314,271 @@ describe('Compression Tests', function () {
     });
   });
 
+  describe('compress codecs', function () {
+    function getRaw(key, cb) {
+      redisCompressCache.store.getClient(function (err, redis) {
+        assert.equal(err, null);
+        redis.client.get(Buffer.from(key), function (err, raw) {
+          redis.done();
+          cb(err, raw);
+        });
+      });
+    }
+
+    ['gzip', 'deflate', 'brotli'].forEach(function (type) {
+      it('should store and retrieve a value with ' + type, function (done) {
+        if (type === 'brotli' && !zlib.brotliCompress) {
+          return this.skip();
+        }
+        redisCompressCache.set('foo', testObject, { compress: { type: type } }, function (err) {
+          assert.equal(err, null);
+          redisCompressCache.get('foo', { compress: { type: type } }, function (err, result) {
+            assert.equal(err, null);
+            assert.deepEqual(result, testObject);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should tag the stored payload with the codec header byte', function (done) {
+      redisCompressCache.set('foo', testObject, { compress: { type: 'deflate' } }, function (err) {
+        assert.equal(err, null);
+        getRaw('foo', function (err, raw) {
+          assert.equal(err, null);
+          assert.equal(raw[0], 0x02);
+          done();
+        });
+      });
+    });
+
+    it('should read values written with another codec', function (done) {
+      redisCompressCache.set('foo', testObject, { compress: { type: 'deflate' } }, function (err) {
+        assert.equal(err, null);
+        redisCompressCache.get('foo', function (err, result) {
+          assert.equal(err, null);
+          assert.deepEqual(result, testObject);
+          done();
+        });
+      });
+    });
+
+    it('should read gzipped values written without header', function (done) {
+      redisCompressCache.store.getClient(function (err, redis) {
+        assert.equal(err, null);
+        redis.client.set('foo', zlib.gzipSync(testJson), function (err) {
+          redis.done();
+          assert.equal(err, null);
+          redisCompressCache.get('foo', function (err, result) {
+            assert.equal(err, null);
+            assert.deepEqual(result, testObject);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should accept a custom codec', function (done) {
+      var reverse = {
+        id: 0x11,
+        compress: (data, params, cb) => cb(null, Buffer.from(data).reverse()),
+        decompress: (data, params, cb) => cb(null, Buffer.from(data).reverse())
+      };
+      redisCompressCache.set('foo', 'bar', { compress: { type: reverse } }, function (err) {
+        assert.equal(err, null);
+        getRaw('foo', function (err, raw) {
+          assert.equal(err, null);
+          assert.equal(raw.toString(), '\u0011"rab"');
+          redisCompressCache.get('foo', { compress: { type: reverse } }, function (err, result) {
+            assert.equal(err, null);
+            assert.equal(result, 'bar');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should return an error for a custom codec id out of the custom range', function () {
+      var reverse = {
+        id: 0x40,
+        compress: (data, params, cb) => cb(null, Buffer.from(data).reverse()),
+        decompress: (data, params, cb) => cb(null, Buffer.from(data).reverse())
+      };
+      return redisCompressCache.set('foo', 'bar', { compress: { type: reverse } })
+        .then(() => assert.fail('the set should fail'), function (err) {
+          assert.ok(err instanceof redisStore.EncodeError);
+          assert.equal(err.cause.message, 'custom compression id must be between 0x10 and 0x1e, got 64');
+        });
+    });
+
+    it('should return an error for an unknown codec', function (done) {
+      redisCompressCache.set('foo', 'bar', { compress: { type: 'lzma' } }, function (err) {
+        assert.notEqual(err, null);
+        assert.equal(err.message, 'unknown compression type lzma');
+        done();
+      });
+    });
+  });
+
+  describe('compress threshold', function () {
+    var redisThresholdCache;
+
+    before(function () {
+      redisThresholdCache = require('cache-manager').caching({
+        store: redisStore,
+        host: config.redis.host,
+        port: config.redis.port,
+        db: config.redis.db,
+        ttl: config.redis.ttl,
+        compress: { type: 'gzip', threshold: 1024 }
+      });
+    });
+
+    function getLength(key, cb) {
+      redisThresholdCache.store.getClient(function (err, redis) {
+        assert.equal(err, null);
+        redis.client.strlen(key, function (err, length) {
+          redis.done();
+          cb(err, length);
+        });
+      });
+    }
+
+    it('should store values under the threshold uncompressed', function (done) {
+      redisThresholdCache.set('foo', 'bar', function (err) {
+        assert.equal(err, null);
+        getLength('foo', function (err, length) {
+          assert.equal(err, null);
+          assert.equal(length, JSON.stringify('bar').length);
+          redisThresholdCache.get('foo', function (err, result) {
+            assert.equal(err, null);
+            assert.equal(result, 'bar');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should compress values over the threshold', function (done) {
+      redisThresholdCache.set('foo', testObject, function (err) {
+        assert.equal(err, null);
+        getLength('foo', function (err, length) {
+          assert.equal(err, null);
+          assert(length < testJson.length);
+          redisThresholdCache.get('foo', function (err, result) {
+            assert.equal(err, null);
+            assert.deepEqual(result, testObject);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should allow the threshold to be overridden per command', function (done) {
+      redisThresholdCache.set('foo', testObject, { compress: { threshold: testJson.length + 1 } }, function (err) {
+        assert.equal(err, null);
+        getLength('foo', function (err, length) {
+          assert.equal(err, null);
+          assert.equal(length, testJson.length);
+          done();
+        });
+      });
+    });
+
+    it('should merge the command configuration over the store one', function (done) {
+      var compress = { params: { level: zlib.Z_BEST_COMPRESSION } };
+
+      redisThresholdCache.set('foo', 'bar', { compress: compress }, function (err) {
+        assert.equal(err, null);
+        getLength('foo', function (err, length) {
+          assert.equal(err, null);
+          assert.equal(length, JSON.stringify('bar').length);
+          done();
+        });
+      });
+    });
+
+    it('should compress small values of binary serializers, which may look compressed', function () {
+      var value = Buffer.from([0x1f, 0x8b, 0x00]);
+
+      return redisThresholdCache.set('foo', value, { serializer: 'buffer' })
+        .then(() => redisThresholdCache.get('foo', { serializer: 'buffer' }))
+        .then(result => assert.deepEqual(result, value));
+    });
+  });
+
+  describe('mixed compressed and uncompressed values', function () {
+    var redisPlainCache;
+
+    before(function () {
+      redisPlainCache = require('cache-manager').caching({
+        store: redisStore,
+        host: config.redis.host,
+        port: config.redis.port,
+        db: config.redis.db,
+        ttl: config.redis.ttl
+      });
+    });
+
+    it('should read uncompressed values when compression is enabled', function (done) {
+      redisPlainCache.set('foo', testObject, function (err) {
+        assert.equal(err, null);
+        redisCompressCache.get('foo', function (err, result) {
+          assert.equal(err, null);
+          assert.deepEqual(result, testObject);
+          done();
+        });
+      });
+    });
+
+    it('should read compressed values when compression is disabled', function (done) {
+      redisCompressCache.set('foo', testObject, function (err) {
+        assert.equal(err, null);
+        redisPlainCache.get('foo', function (err, result) {
+          assert.equal(err, null);
+          assert.deepEqual(result, testObject);
+          done();
+        });
+      });
+    });
+
+    it('should read gzipped values written without header when compression is disabled', function (done) {
+      redisPlainCache.store.getClient(function (err, redis) {
+        assert.equal(err, null);
+        redis.client.set('foo', zlib.gzipSync(testJson), function (err) {
+          redis.done();
+          assert.equal(err, null);
+          redisPlainCache.get('foo', function (err, result) {
+            assert.equal(err, null);
+            assert.deepEqual(result, testObject);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should read mixed values with mget', function () {
+      return redisPlainCache.set('foo', 'bar')
+        .then(() => redisCompressCache.set('bar', testObject))
+        .then(() => redisPlainCache.store.mget('foo', 'bar'))
+        .then(result => assert.deepEqual(result, ['bar', testObject]));
+    });
+
+    it('should return an error for a truncated compressed value', function (done) {
+      redisPlainCache.store.getClient(function (err, redis) {
+        assert.equal(err, null);
+        redis.client.set('foo', zlib.gzipSync(testJson).slice(0, 16), function (err) {
+          redis.done();
+          assert.equal(err, null);
+          redisPlainCache.get('foo', function (err) {
+            assert.notEqual(err, null);
+            done();
+          });
+        });
+      });
+    });
+  });
+
   describe('wrap function', function () {
 
     // Simulate retrieving a user from a database